@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {
   bslConstants, constants as slConstants
@@ -24,9 +24,13 @@ export class CredentialStatusIssuer {
     this.duplicateResultMap = null;
   }
 
+  // may be called again with another credential once the previous one has
+  // been issued (or has failed to be issued) to issue statuses for a batch of
+  // credentials using the same writers and list shards
   async initialize({credential} = {}) {
     assert.object(credential, 'credential');
     this.credential = credential;
+    this.duplicateResultMap = null;
 
     // see if config indicates a credential status should be set
     const {config, documentLoader, edvClient, writers} = this;
@@ -37,10 +41,11 @@ export class CredentialStatusIssuer {
       return;
     }
 
-    // create VC status writer(s); there may be N-many credential status
+    // create VC status writer(s) once; there may be N-many credential status
     // writers, one for each status for the same credential, each will write
     // a result into the status result map
     this.statusResultMap = new Map();
+    const createWriters = writers.length === 0;
 
     for(const statusListConfig of statusListOptions) {
       const {type} = statusListConfig;
@@ -58,6 +63,9 @@ export class CredentialStatusIssuer {
       }
       // note: no changes for `TerseBitstringStatusList`, the contexts required
       // must be stored in the issuer instance and URLs provided in the VC
+      if(!createWriters) {
+        continue;
+      }
       const listSource = new ListSource({config, statusListConfig});
       writers.push(new CredentialStatusWriter({
         statusListConfig,
@@ -133,17 +141,28 @@ export class CredentialStatusIssuer {
     return false;
   }
 
+  // marks the statuses issued to the current credential as assigned once the
+  // credential has been stored
+  commit() {
+    for(const w of this.writers) {
+      w.commit();
+    }
+  }
+
   finish() {
-    const {writers} = this;
+    // only writers that have written a status have anything to finish, e.g.,
+    // none will if every credential in a batch failed to be issued
+    const writers = this.writers.filter(w => w.listShard);
     if(writers.length === 0) {
-      return;
+      return Promise.resolve();
     }
-    // do not wait for status writing to complete (this would be an unnecessary
-    // performance hit)
-    writers.map(w => w.finish().catch(error => {
+    // callers need not wait for status writing to complete (this would be an
+    // unnecessary performance hit for a single issuance), but a promise that
+    // never rejects is returned for callers that want to reuse list shards
+    return Promise.all(writers.map(w => w.finish().catch(error => {
       // logger errors for later analysis, but do not throw them; credential
       // status write can be continued later by another process
       logger.error(error.message, {error});
-    }));
+    })));
   }
 }
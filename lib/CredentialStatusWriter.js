@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import assert from 'assert-plus';
 import {Bitstring} from '@digitalbazaar/bitstring';
@@ -33,16 +33,27 @@ main: The process for issuing a VC with an assigned an index.
     2.3.1. Note: The database must have a unique index on SL ID + SL index.
   2.4. If a duplicate error occurs, first make sure it is a duplicate error
     due to SL ID + SL index, and if so, loop, otherwise throw.
+  2.5. Call writer.commit().
 2. VC has been successfully issued, return it immediately, the receiver of
   the VC response does not need to wait for the following steps to finish.
 3. Call writer.finish().
 4. Return.
 
+When issuing a batch of VCs, steps 1 and 3 are performed once for the whole
+batch and step 2 is performed for each VC; the writer then assigns
+consecutive indexes from the same LS without updating the IAD until
+writer.finish() is called. Any other worker that uses the same LS in the
+meantime will detect duplicates and resync the IAD via writer.write().
+
 writer.write(VC): Writes credential status information to the
   given VC, overwriting it if it is already present. To be called when
   trying to issue a VC or after a failure to write a VC to the database (EDV)
   because of a duplicate error.
 
+0. If an LS has been assigned to the writer instance and no duplicate error
+  is being handled (then a previous VC was committed using the LS):
+  0.1. If every index in the LS has been assigned, call writer.finish().
+  0.2. Otherwise, skip to step 4.
 1. If an LS has been assigned to the writer instance (then a duplicate
   error for the VC is being handled):
   1.1. Read the IAD.
@@ -60,12 +71,18 @@ writer.write(VC): Writes credential status information to the
   2.1. Create a ListManager instance `listManager`.
   2.2. Call listManager.getShard() and store result in the instance.
 3. Otherwise, remove an LS from the set and store it in the instance.
-4. Use the SL ID and the IAD from the LS to add the SL ID and the next
-  unassigned SL index to a VC's credential status section.
+  3.1. Set the instance's next local index to the IAD's latest index value.
+4. Use the SL ID and the instance's next local index to add the SL ID and the
+  next unassigned SL index to a VC's credential status section.
+
+writer.commit(): Marks the index written to the last VC as assigned.
+
+1. Increment the instance's next local index.
 
 writer.finish():
 
-1. Increment instance's IAD's latest index value.
+1. Set instance's IAD's latest index value to the instance's next local
+  index, if it is greater.
 2. CW update IAD. If conflict, ignore.
 3. If IAD has had all indexes assigned:
   3.1. Read BAD. If its SL sequence number does not match, return.
@@ -85,12 +102,22 @@ export class CredentialStatusWriter {
     this.edvClient = edvClient;
     this.listSource = listSource;
     this.listShard = null;
+    this.nextLocalIndex = null;
+  }
+
+  commit() {
+    if(!this.listShard) {
+      throw new Error(
+        'Invalid state error; "commit()" must only be called after "write()".');
+    }
+    // 1. Increment the instance's next local index.
+    this.nextLocalIndex++;
   }
 
   async write({credential, duplicateResult} = {}) {
     assert.object(credential, 'credential');
 
-    const {edvClient, statusListConfig, listShard} = this;
+    const {edvClient, statusListConfig} = this;
     const {indexAllocator} = statusListConfig;
     let shardQueue = SHARD_QUEUE_CACHE.get(indexAllocator);
     if(!shardQueue) {
@@ -98,8 +125,23 @@ export class CredentialStatusWriter {
       SHARD_QUEUE_CACHE.set(indexAllocator, shardQueue);
     }
 
+    // 0. If an LS has been assigned to the writer instance and no duplicate
+    // error is being handled (then a previous VC was committed using the LS):
+    if(this.listShard && !duplicateResult) {
+      const {blockAssignmentDoc: {content: {blockSize}}} = this.listShard;
+      if(this.nextLocalIndex < blockSize) {
+        // 0.2. Otherwise, skip to step 4.
+        return this._addStatusEntries({credential});
+      }
+      // 0.1. If every index in the LS has been assigned, call
+      // writer.finish().
+      await this.finish();
+      this.listShard = null;
+    }
+
     // 1. If an LS has been assigned to the writer instance (then a duplicate
     // error for the VC is being handled):
+    const {listShard} = this;
     if(listShard) {
       // 1.1. Read the IAD.
       const {
@@ -173,24 +215,12 @@ export class CredentialStatusWriter {
       // instance.
       this.listShard = shardQueue.shift();
     }
+    // 3.1. Set the instance's next local index to the IAD's latest index
+    // value.
+    this.nextLocalIndex =
+      this.listShard.indexAssignmentDoc.content.nextLocalIndex;
 
-    // 4. Use LS to get the status lists metadata and IAD. Use the SL metadata
-    //   and the next unassigned SL index from the IAD add the appropriate
-    //   information (based on list type) to a VC's credential status section.
-    const {
-      blockIndex,
-      blockAssignmentDoc: {content: {blockSize}},
-      indexAssignmentDoc: {content: {nextLocalIndex: localIndex}},
-      item: {statusLists}
-    } = this.listShard;
-    const statusListIndex = blockIndex * blockSize + localIndex;
-    // add a status entry for each status list from `item`
-    const result = {
-      localIndex,
-      statusEntries: statusLists.map(statusList =>
-        this._addStatusEntry({credential, statusList, statusListIndex}))
-    };
-    return result;
+    return this._addStatusEntries({credential});
   }
 
   async finish() {
@@ -201,7 +231,8 @@ export class CredentialStatusWriter {
         'Invalid state error; "finish()" must only be called after "write()".');
     }
 
-    // 1. Increment instance's IAD's latest index value.
+    // 1. Set instance's IAD's latest index value to the instance's next
+    // local index, if it is greater.
     const {
       indexAssignmentDoc,
       blockIndex,
@@ -211,7 +242,7 @@ export class CredentialStatusWriter {
     // 2. CW update IAD. If conflict, ignore.
     try {
       iadContent.nextLocalIndex = Math.min(
-        blockSize, iadContent.nextLocalIndex + 1);
+        blockSize, Math.max(iadContent.nextLocalIndex, this.nextLocalIndex));
       listShard.indexAssignmentDoc = await edvClient.update(
         {doc: indexAssignmentDoc});
     } catch(e) {
@@ -273,6 +304,26 @@ export class CredentialStatusWriter {
     return counts.some(count => count !== 0);
   }
 
+  _addStatusEntries({credential}) {
+    // 4. Use LS to get the status lists metadata. Use the SL metadata and the
+    //   instance's next local index to add the appropriate information (based
+    //   on list type) to a VC's credential status section.
+    const {
+      blockIndex,
+      blockAssignmentDoc: {content: {blockSize}},
+      item: {statusLists}
+    } = this.listShard;
+    const {nextLocalIndex: localIndex} = this;
+    const statusListIndex = blockIndex * blockSize + localIndex;
+    // add a status entry for each status list from `item`
+    const result = {
+      localIndex,
+      statusEntries: statusLists.map(statusList =>
+        this._addStatusEntry({credential, statusList, statusListIndex}))
+    };
+    return result;
+  }
+
   _addStatusEntry({credential, statusList, statusListIndex}) {
     const {type, baseUrl, options} = this.statusListConfig;
     const {statusPurpose} = statusList;
@@ -1,11 +1,14 @@
 /*!
- * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import assert from 'assert-plus';
 import {createZcapClient} from './helpers.js';
 import {serviceAgents} from '@bedrock/service-agent';
 import {serviceType} from './constants.js';
 
+const {util: {BedrockError}} = bedrock;
+
 export class ListSource {
   constructor({config, statusListConfig} = {}) {
     assert.object(config, 'config');
@@ -68,7 +71,45 @@ export class ListSource {
         e.data?.details?.httpStatusCode === 409)) {
         return {statusListId};
       }
-      throw e;
+      throw new BedrockError('Could not create status list.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          problemType: 'status-service-error',
+          public: true
+        },
+        cause: e
+      });
     }
   }
+
+  async setStatus({credentialId, credentialStatus, status} = {}) {
+    assert.string(credentialId, 'credentialId');
+    assert.object(credentialStatus, 'credentialStatus');
+    assert.bool(status, 'status');
+
+    // get zcap for `statusListConfig` for updating credential statuses
+    const {config, statusListConfig} = this;
+    const {serviceAgent} = await serviceAgents.get({serviceType});
+    const {
+      capabilityAgent, zcaps
+    } = await serviceAgents.getEphemeralAgent({config, serviceAgent});
+    const {
+      updateCredentialStatus: referenceId
+    } = statusListConfig.zcapReferenceIds;
+    const capability = zcaps[referenceId];
+
+    // update status...
+    const zcapClient = createZcapClient({capabilityAgent});
+    const url = capability.invocationTarget;
+    await zcapClient.write({
+      url, capability,
+      json: {
+        credentialId,
+        indexAllocator: statusListConfig.indexAllocator,
+        credentialStatus,
+        status
+      }
+    });
+  }
 }
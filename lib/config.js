@@ -7,7 +7,20 @@ import '@bedrock/express';
 
 const cfg = config['vc-issuer'] = {};
 
-cfg.caches = {};
+cfg.caches = {
+  // KMS key handles for the assertion method keys of issuer instances, keyed
+  // by instance config ID and sequence and the ephemeral agent's zcap ID; the
+  // TTL matches how long the service agent caches ephemeral agents
+  assertionMethodKey: {
+    max: 1000,
+    ttl: 5 * 60 * 1000
+  },
+  // compiled credential schema validators, keyed by schema ID and a digest of
+  // the schema, so a changed schema is always compiled again
+  credentialSchemaValidator: {
+    max: 1000
+  }
+};
 
 // document loader configuration for the issuer; all issuer instances
 // will securely load DID documents using `bedrock-did-io` and any contexts
@@ -21,9 +34,56 @@ cfg.documentLoader = {
   https: false
 };
 
+// expiring record configuration; expired issuance jobs and idempotency
+// records are deleted by a sweep that runs at most once every
+// `sweepInterval` (in milliseconds) per issuer instance and finds records
+// that expired on any of the last `sweepDays` UTC days
+cfg.expiration = {
+  sweepInterval: 60 * 60 * 1000,
+  sweepDays: 7
+};
+
+// issuance job configuration; a job record is kept for `ttl` (in
+// milliseconds) and a `pending` job whose processing has not finished within
+// `leaseTtl` (in milliseconds) is resumed by the next process that reads it
+cfg.jobs = {
+  ttl: 24 * 60 * 60 * 1000,
+  leaseTtl: 5 * 60 * 1000
+};
+
+// `Idempotency-Key` header configuration; responses to issue requests that
+// include this header are stored and returned again for any retried request
+// with the same key until `ttl` (in milliseconds) has passed; a request
+// whose processing has not finished within `leaseTtl` (in milliseconds) can
+// be retried
+cfg.idempotency = {
+  ttl: 24 * 60 * 60 * 1000,
+  leaseTtl: 5 * 60 * 1000
+};
+
+// OID4VCI configuration; `offerTtl` is how long (in milliseconds) a credential
+// offer's pre-authorized code can be exchanged for an access token and
+// `accessTokenTtl` is how long that access token can be used
+cfg.oid4vci = {
+  offerTtl: 15 * 60 * 1000,
+  accessTokenTtl: 5 * 60 * 1000
+};
+
 cfg.routes = {
+  credentialSchemas: '/credential-schemas',
+  credentialTemplates: '/credential-templates',
   credentials: '/credentials',
-  credentialsIssue: '/credentials/issue'
+  credentialsIssue: '/credentials/issue',
+  credentialsIssueBatch: '/credentials/issue-batch',
+  credentialsJobs: '/credentials/jobs',
+  credentialsStatus: '/credentials/status',
+  credentialsValidate: '/credentials/validate',
+  metadata: '/metadata',
+  oid4vciAuthorizationServerMetadata: '/.well-known/oauth-authorization-server',
+  oid4vciCredential: '/oid4vci/credential',
+  oid4vciCredentialIssuerMetadata: '/.well-known/openid-credential-issuer',
+  oid4vciOffers: '/oid4vci/offers',
+  oid4vciToken: '/oid4vci/token'
 };
 
 // enable larger payloads for certain routes
@@ -38,6 +98,17 @@ const bodyParserRoutes = config.express.bodyParser.routes;
 // max VC size is 10 MiB, allow for some overhead
 bodyParserRoutes['/issuers/:instanceId/credentials/issue'] =
   createBodyParserOptions({limit: '11MB'});
+// total size of all VCs in a batch is subject to the same limit
+bodyParserRoutes['/issuers/:instanceId/credentials/issue-batch'] =
+  createBodyParserOptions({limit: '11MB'});
+bodyParserRoutes['/issuers/:instanceId/credentials/validate'] =
+  createBodyParserOptions({limit: '11MB'});
+bodyParserRoutes['/issuers/:instanceId/oid4vci/offers'] =
+  createBodyParserOptions({limit: '11MB'});
+// OAuth2 token requests are form-encoded
+bodyParserRoutes['/issuers/:instanceId/oid4vci/token'] = {
+  urlencoded: {extended: false}
+};
 
 // create dev application identity for vc-issuer (must be overridden in
 // deployments) ...and `ensureConfigOverride` has already been set via
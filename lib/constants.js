@@ -1,9 +1,22 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 // maximum number of cryptosuites to be used in a proof set
 export const MAX_CRYPTOSUITE_OPTIONS = 10;
 
+// maximum number of assertion method keys with activation windows that each
+// cryptosuite can be configured with
+export const MAX_ASSERTION_METHOD_OPTIONS = 4;
+
+// maximum size (in bytes) of a credential to be issued
+export const MAX_CREDENTIAL_SIZE = 10 * 1024 * 1024;
+
+// media type of a credential that is not secured using an envelope
+export const CREDENTIAL_MEDIA_TYPE = 'application/vc+ld+json';
+
+// maximum number of credentials that can be issued in a single batch request
+export const MAX_BATCH_ISSUE_SIZE = 100;
+
 // max list size is 2^26, which is the largest size a totally random,
 // unencrypted list can be (8MiB) without breaking the max 10MiB storage
 // barrier for a single VC -- leaving 2MiB of space for other information
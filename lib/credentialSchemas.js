@@ -0,0 +1,170 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import addFormats from 'ajv-formats';
+import Ajv from 'ajv';
+import Ajv2019 from 'ajv/dist/2019.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+import assert from 'assert-plus';
+import {createHash} from 'node:crypto';
+import {getDocumentStore} from './helpers.js';
+import {LRUCache as LRU} from 'lru-cache';
+
+const {util: {BedrockError}} = bedrock;
+
+let VALIDATOR_CACHE;
+
+bedrock.events.on('bedrock.init', () => {
+  const {caches} = bedrock.config['vc-issuer'];
+  VALIDATOR_CACHE = new LRU(caches.credentialSchemaValidator);
+});
+
+export const SCHEMA_TYPE = 'JsonSchema';
+
+// `credentialSchema` types that are validated before issuance
+const SUPPORTED_SCHEMA_TYPES = new Set(['JsonSchema', 'JsonSchemaCredential']);
+
+// JSON schema dialect => Ajv class
+const DIALECTS = new Map([
+  ['http://json-schema.org/draft-07/schema', Ajv],
+  ['https://json-schema.org/draft/2019-09/schema', Ajv2019],
+  ['https://json-schema.org/draft/2020-12/schema', Ajv2020]
+]);
+
+/* Note: Schemas are loaded from the issuer instance's schema store, which is
+stored in the same EDV as issued VCs and JSON-LD contexts, and, if not found
+there, via the instance's document loader. The proofs on any
+`JsonSchemaCredential` are not verified; the issuer instance is trusted to
+only be configured to load schemas from trusted sources. */
+
+/**
+ * Creates a function that loads the JSON schemas referenced by credentials
+ * issued by the issuer instance identified via the given config.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The issuer instance config.
+ * @param {Function} options.documentLoader - The instance's document loader.
+ *
+ * @returns {Function} The schema loader.
+ */
+export function createSchemaLoader({config, documentLoader} = {}) {
+  assert.object(config, 'config');
+  assert.func(documentLoader, 'documentLoader');
+
+  return async function schemaLoader(url) {
+    // only get the document store once a schema is needed
+    const documentStore = await getDocumentStore({config});
+    try {
+      const doc = await documentStore.get({id: url});
+      if(doc.meta.type === SCHEMA_TYPE) {
+        return doc.content.schema;
+      }
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+    const {document} = await documentLoader(url);
+    return typeof document === 'string' ? JSON.parse(document) : document;
+  };
+}
+
+// validates a credential against each of its supported `credentialSchema`s
+export async function validateCredentialSchemas({
+  credential, schemaLoader
+} = {}) {
+  assert.object(credential, 'credential');
+  assert.func(schemaLoader, 'schemaLoader');
+
+  const credentialSchemas = [].concat(credential.credentialSchema ?? [])
+    .filter(({type}) => SUPPORTED_SCHEMA_TYPES.has(type));
+  for(const {id, type} of credentialSchemas) {
+    const schema = await _getSchema({id, type, schemaLoader});
+    const validate = _compile({id, schema});
+    if(!validate(credential)) {
+      throw new BedrockError(
+        `Credential does not conform to credential schema "${id}".`, {
+          name: 'DataError',
+          details: {
+            credentialSchema: id,
+            errors: validate.errors.map(({instancePath, message}) => ({
+              instancePath, message
+            })),
+            httpStatusCode: 400,
+            problemType: 'credential-schema-violation',
+            public: true
+          }
+        });
+    }
+  }
+}
+
+function _compile({id, schema}) {
+  // reuse any validator compiled from the same schema
+  const digest = createHash('sha256').update(JSON.stringify(schema))
+    .digest('base64url');
+  const key = JSON.stringify([id, digest]);
+  let validate = VALIDATOR_CACHE.get(key);
+  if(!validate) {
+    validate = _compileUncached({id, schema});
+    VALIDATOR_CACHE.set(key, validate);
+  }
+  return validate;
+}
+
+function _compileUncached({id, schema}) {
+  // use a new validator for every schema so that schemas with the same `$id`
+  // loaded at different times cannot conflict
+  const AjvClass = DIALECTS.get(schema.$schema?.replace(/#$/, '')) ?? Ajv2020;
+  const ajv = new AjvClass({allErrors: true, strict: false});
+  addFormats(ajv);
+  try {
+    return ajv.compile(schema);
+  } catch(cause) {
+    throw new BedrockError(`Invalid credential schema "${id}".`, {
+      name: 'DataError',
+      details: {
+        credentialSchema: id,
+        httpStatusCode: 400,
+        problemType: 'invalid-credential-schema',
+        public: true
+      },
+      cause
+    });
+  }
+}
+
+async function _getSchema({id, type, schemaLoader}) {
+  let schema;
+  try {
+    schema = await schemaLoader(id);
+    // get schema from a `JsonSchemaCredential`
+    if(type === 'JsonSchemaCredential') {
+      schema = schema?.credentialSubject?.jsonSchema;
+    }
+  } catch(cause) {
+    throw new BedrockError(`Could not load credential schema "${id}".`, {
+      name: 'DataError',
+      details: {
+        credentialSchema: id,
+        httpStatusCode: 400,
+        problemType: 'credential-schema-not-found',
+        public: true
+      },
+      cause
+    });
+  }
+  if(!(schema && typeof schema === 'object')) {
+    throw new BedrockError(`Invalid credential schema "${id}".`, {
+      name: 'DataError',
+      details: {
+        credentialSchema: id,
+        httpStatusCode: 400,
+        problemType: 'invalid-credential-schema',
+        public: true
+      }
+    });
+  }
+  return schema;
+}
@@ -0,0 +1,309 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import {eraseResponse} from './idempotency.js';
+import {getDocumentStore} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+export const TOMBSTONE_TYPE = 'CredentialTombstone';
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+// default number of VCs per page and max number of days to scan per page
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_DAYS_PER_PAGE = 366;
+// max number of days to find VCs issued on with a single EDV query
+const MAX_LIST_DAYS_PER_QUERY = 31;
+// default window to list VCs in when `issuedAfter` is not given
+const DEFAULT_LIST_WINDOW = ONE_DAY * 365;
+// max number of documents an EDV query can return
+const MAX_EDV_QUERY_LIMIT = 1000;
+// length of an ISO date-time prefix that identifies a UTC second
+const SECOND_PERIOD_LENGTH = 19;
+
+/* Note: EDV queries only support matching blinded attribute values; they do
+not support sorting, offsets, or range queries. To support listing VCs in
+pages, each stored VC includes the UTC day, hour, minute, and second it was
+issued in (as ISO date-time prefixes) in its `meta`. Listing finds the VCs
+issued on a range of days with a single EDV query; if too many match to be
+returned at once, it finds them in each day and then, as needed, in each
+hour, minute, and second. Matching VCs are listed in order of when they were
+issued and then their document ID, newest first, and the cursor holds the
+position of the last listed VC in that order. This means that no more than
+1000 VCs issued in the same second can be listed using the same filters. */
+
+// gets `meta` properties used to list stored VCs
+export function getListingMeta({
+  credential, credentialStatus = [], date = new Date()
+} = {}) {
+  const issued = date.toISOString();
+  const meta = {
+    credentialType: [].concat(credential.type),
+    issued,
+    issuedPeriod: [10, 13, 16, SECOND_PERIOD_LENGTH].map(
+      length => issued.slice(0, length))
+  };
+  const subjectIds = [].concat(credential.credentialSubject ?? [])
+    .map(subject => subject?.id ?? subject)
+    .filter(id => typeof id === 'string');
+  if(subjectIds.length > 0) {
+    meta.credentialSubjectId = subjectIds;
+  }
+  const statusPurposes = [
+    ...new Set(credentialStatus.map(({statusPurpose}) => statusPurpose))
+  ];
+  if(statusPurposes.length > 0) {
+    meta.statusPurpose = statusPurposes;
+  }
+  return meta;
+}
+
+export async function deleteCredential({
+  config, credentialId, tombstone = true
+} = {}) {
+  assert.object(config, 'config');
+  assert.string(credentialId, 'credentialId');
+  assert.bool(tombstone, 'tombstone');
+
+  const {edvClient} = await getDocumentStore({config});
+  const {documents: [doc]} = await edvClient.find({
+    equals: {'meta.credentialId': credentialId}
+  });
+  if(!doc) {
+    throw new BedrockError('Credential not found.', {
+      name: 'NotFoundError',
+      details: {
+        credentialId,
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+
+  // if requested, keep a tombstone with only the VC's status entries so that
+  // the unique index on `meta.credentialStatus.id` continues to prevent their
+  // reuse and the VC's statuses can still be updated; otherwise delete
+  // everything; the tombstone does not use `meta.credentialId` so that the
+  // same ID can be used for another VC
+  const {credentialStatus = []} = doc.meta;
+  if(tombstone && credentialStatus.length > 0) {
+    await edvClient.update({
+      doc: {
+        ...doc,
+        content: {},
+        meta: {
+          type: TOMBSTONE_TYPE,
+          deletedCredentialId: credentialId,
+          deleted: new Date().toISOString(),
+          credentialStatus
+        }
+      }
+    });
+  } else {
+    await edvClient.delete({doc});
+  }
+
+  // erase any copies of the VC held by issuance jobs, credential offers, and
+  // idempotency records until none are left; idempotency records are kept
+  // without their stored responses (or `meta.issuedCredentialId`) so that
+  // their requests cannot issue another VC; erased records are not found
+  // again and any record that changed concurrently is found and erased again
+  let documents;
+  do {
+    ({documents} = await edvClient.find({
+      equals: {'meta.issuedCredentialId': credentialId},
+      limit: MAX_EDV_QUERY_LIMIT
+    }));
+    await Promise.all(documents.map(async doc => {
+      try {
+        if(!await eraseResponse({edvClient, doc})) {
+          await edvClient.delete({doc});
+        }
+      } catch(e) {
+        // ignore records that have already been changed or deleted
+        if(!(e.name === 'NotFoundError' || e.name === 'InvalidStateError')) {
+          throw e;
+        }
+      }
+    }));
+  } while(documents.length > 0);
+}
+
+export async function listCredentials({
+  config, type, credentialSubjectId, statusPurpose,
+  issuedAfter, issuedBefore, limit = DEFAULT_LIST_LIMIT, cursor
+} = {}) {
+  assert.object(config, 'config');
+  assert.optionalString(type, 'type');
+  assert.optionalString(credentialSubjectId, 'credentialSubjectId');
+  assert.optionalString(statusPurpose, 'statusPurpose');
+  assert.optionalString(issuedAfter, 'issuedAfter');
+  assert.optionalString(issuedBefore, 'issuedBefore');
+  assert.number(limit, 'limit');
+  assert.optionalString(cursor, 'cursor');
+
+  // get time range to list VCs from
+  const before = issuedBefore === undefined ?
+    new Date() : new Date(issuedBefore);
+  const after = issuedAfter === undefined ?
+    new Date(before.getTime() - DEFAULT_LIST_WINDOW) : new Date(issuedAfter);
+  const range = {after: after.toISOString(), before: before.toISOString()};
+  const firstDay = range.after.slice(0, 10);
+
+  // start after the last listed VC or with the latest VC in the time range
+  const position = cursor === undefined ?
+    {issued: range.before} : _parseCursor({cursor});
+
+  // build filters
+  const filters = {};
+  if(type !== undefined) {
+    filters['meta.credentialType'] = type;
+  }
+  if(credentialSubjectId !== undefined) {
+    filters['meta.credentialSubjectId'] = credentialSubjectId;
+  }
+  if(statusPurpose !== undefined) {
+    filters['meta.statusPurpose'] = statusPurpose;
+  }
+
+  const {edvClient} = await getDocumentStore({config});
+  const listed = [];
+  let day = position.issued.slice(0, 10);
+  let days = 0;
+  while(listed.length < limit && day >= firstDay &&
+    days < MAX_LIST_DAYS_PER_PAGE) {
+    const periods = [];
+    while(periods.length < MAX_LIST_DAYS_PER_QUERY && day >= firstDay &&
+      days < MAX_LIST_DAYS_PER_PAGE) {
+      periods.push(day);
+      day = _previousDay({day});
+      days++;
+    }
+    await _listIssued({
+      edvClient, filters, periods, position, range, limit, listed
+    });
+  }
+
+  const result = {
+    credentials: listed.map(({content, meta}) => ({
+      credentialId: meta.credentialId,
+      issued: meta.issued,
+      verifiableCredential: content
+    }))
+  };
+  if(listed.length >= limit) {
+    const {id, meta: {issued}} = listed.at(-1);
+    result.nextCursor = _createCursor({issued, id});
+  } else if(day >= firstDay) {
+    // continue with the VCs issued at the end of the next day to scan
+    result.nextCursor = _createCursor({issued: `${day}T23:59:59.999Z`});
+  }
+  return result;
+}
+
+// adds the stored VCs issued in `periods` that come after `position` and are
+// within `range` to `listed`, newest first, until `limit` VCs are listed
+async function _listIssued({
+  edvClient, filters, periods, position, range, limit, listed
+}) {
+  const {documents, hasMore} = await edvClient.find({
+    equals: periods.map(period => ({...filters, 'meta.issuedPeriod': period})),
+    limit: MAX_EDV_QUERY_LIMIT
+  });
+  if(!hasMore) {
+    const unlisted = documents
+      .filter(({id, meta: {issued}}) => _isAfter({issued, id, position}) &&
+        issued >= range.after && issued <= range.before)
+      .sort(_compareNewestFirst);
+    listed.push(...unlisted.slice(0, limit - listed.length));
+    return;
+  }
+
+  // too many VCs match, so find those issued in each period separately or,
+  // for a single period, in each of the shorter periods within it
+  const [period] = periods;
+  if(periods.length === 1 && period.length === SECOND_PERIOD_LENGTH) {
+    throw new BedrockError(
+      `Too many matching credentials were issued at "${period}" to list; ` +
+      'use more specific filters.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  const groups = periods.length > 1 ? periods.map(p => [p]) :
+    [_getShorterPeriods({period, position, range})];
+  for(const group of groups) {
+    if(listed.length >= limit) {
+      return;
+    }
+    await _listIssued({
+      edvClient, filters, periods: group, position, range, limit, listed
+    });
+  }
+}
+
+// gets the hours in a day, minutes in an hour, or seconds in a minute that
+// `period` identifies that may hold unlisted VCs, newest first
+function _getShorterPeriods({period, position, range}) {
+  const [separator, count] = period.length === 10 ? ['T', 24] : [':', 60];
+  const length = period.length + 3;
+  const last = position.issued.slice(0, length);
+  const first = range.after.slice(0, length);
+  const periods = [];
+  for(let i = count - 1; i >= 0; --i) {
+    const shorter = `${period}${separator}${String(i).padStart(2, '0')}`;
+    if(shorter <= last && shorter >= first) {
+      periods.push(shorter);
+    }
+  }
+  return periods;
+}
+
+// whether a VC with `issued` and document `id` comes after `position` when
+// listing; a position without an `id` includes VCs issued at that time
+function _isAfter({issued, id, position}) {
+  return issued < position.issued || (issued === position.issued &&
+    (position.id === undefined || id < position.id));
+}
+
+function _compareNewestFirst(a, b) {
+  if(a.meta.issued !== b.meta.issued) {
+    return a.meta.issued < b.meta.issued ? 1 : -1;
+  }
+  return a.id < b.id ? 1 : -1;
+}
+
+function _createCursor({issued, id}) {
+  return Buffer.from(JSON.stringify({issued, id})).toString('base64url');
+}
+
+function _parseCursor({cursor}) {
+  try {
+    const {issued, id} = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'));
+    if(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(issued) &&
+      (id === undefined || typeof id === 'string')) {
+      return {issued, id};
+    }
+  } catch {
+    // invalid cursor error thrown below
+  }
+  throw new BedrockError('Invalid cursor.', {
+    name: 'DataError',
+    details: {
+      httpStatusCode: 400,
+      public: true
+    }
+  });
+}
+
+function _previousDay({day}) {
+  const date = new Date(Date.parse(`${day}T00:00:00Z`) - ONE_DAY);
+  return date.toISOString().slice(0, 10);
+}
@@ -2,8 +2,14 @@
  * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {envelopeCredential as jwtEnvelopeCredential} from './vcjwt.js';
-import {envelopeCredential as mDLEnvelopeCredential} from './mdl.js';
+import {
+  envelopeCredential as jwtEnvelopeCredential,
+  verifyEnvelope as jwtVerifyEnvelope
+} from './vcjwt.js';
+import {
+  envelopeCredential as mDLEnvelopeCredential,
+  verifyEnvelope as mDLVerifyEnvelope
+} from './mdl.js';
 
 // format => media type
 const SUPPORTED_FORMAT_TO_MEDIA_TYPE = new Map([
@@ -12,19 +18,25 @@ const SUPPORTED_FORMAT_TO_MEDIA_TYPE = new Map([
 
 const SUPPORTED_MEDIA_TYPES = new Map([
   ['application/jwt', {
-    createEnveloper: _createVCJWTEnveloper
+    createEnveloper: _createVCJWTEnveloper,
+    verifyEnvelope: jwtVerifyEnvelope
   }],
   ['application/mdl', {
-    createEnveloper: _createMDLEnveloper
+    createEnveloper: _createMDLEnveloper,
+    verifyEnvelope: mDLVerifyEnvelope
   }]
 ]);
 
 const {util: {BedrockError}} = bedrock;
 
+export function getEnvelopeMediaType({envelope}) {
+  return envelope.mediaType ??
+    SUPPORTED_FORMAT_TO_MEDIA_TYPE.get(envelope.format);
+}
+
 export function getEnvelopeParams({config, envelope}) {
-  const {format, zcapReferenceIds} = envelope;
-  const mediaType = envelope.mediaType ??
-    SUPPORTED_FORMAT_TO_MEDIA_TYPE.get(format);
+  const {zcapReferenceIds} = envelope;
+  const mediaType = getEnvelopeMediaType({envelope});
 
   // get zcap to use to invoke assertion method key
   const referenceId = zcapReferenceIds.assertionMethod;
@@ -58,6 +70,16 @@ export function getEnvelopeParams({config, envelope}) {
   return {zcap, createEnveloper, referenceId, envelope};
 }
 
+// returns whether the signature on an envelope produced by `envelope()`
+// verifies
+export async function verifyEnvelope({envelope, documentLoader} = {}) {
+  const {mediaType, encoding} = envelope;
+  const data = encoding === 'base64' ?
+    Buffer.from(envelope.data, 'base64') : envelope.data;
+  const {verifyEnvelope} = SUPPORTED_MEDIA_TYPES.get(mediaType);
+  return verifyEnvelope({data, documentLoader});
+}
+
 function _createVCJWTEnveloper({signer, options, envelopeConfig} = {}) {
   return {
     async envelope({verifiableCredential}) {
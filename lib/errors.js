@@ -0,0 +1,231 @@
+/*!
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import {serializeError} from 'serialize-error';
+
+const {util: {BedrockError}} = bedrock;
+
+const ALLOWED_ERROR_KEYS = [
+  'message', 'name', 'type', 'data', 'errors', 'error', 'details', 'cause',
+  'status'
+];
+
+// prefix for the stable problem type URIs in RFC 9457 problem details
+const PROBLEM_TYPE_PREFIX = 'urn:bedrock:vc-issuer:problem:';
+
+// catalog of problem types; the IDs are part of the public API and must not
+// change; `name` and `httpStatusCode` are used when wrapping errors
+const PROBLEM_TYPES = new Map([
+  ['context-not-found', {
+    title: 'A context used by the credential could not be loaded.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['conflict', {
+    title: 'The request conflicts with the current state of the resource.',
+    name: 'InvalidStateError', httpStatusCode: 409
+  }],
+  ['credential-schema-not-found', {
+    title: 'A credential schema used by the credential could not be loaded.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['credential-schema-violation', {
+    title: 'The credential does not conform to its credential schema.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['duplicate', {
+    title: 'The resource already exists.',
+    name: 'DuplicateError', httpStatusCode: 409
+  }],
+  ['internal-error', {
+    title: 'An unexpected error occurred.',
+    name: 'OperationError', httpStatusCode: 500
+  }],
+  ['invalid-credential', {
+    title: 'The credential does not conform to the VC data model.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['invalid-credential-schema', {
+    title: 'A credential schema used by the credential is invalid.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['invalid-date', {
+    title: 'A date in the credential is invalid.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['invalid-validity-period', {
+    title: 'The credential\'s validity period is too long.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['invalid-json-ld', {
+    title: 'The credential is not valid JSON-LD.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['invalid-mandatory-pointer', {
+    title: 'A mandatory pointer does not match the credential.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['invalid-request', {
+    title: 'The request is invalid.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['key-management-error', {
+    title: 'The issuer\'s key could not be used.',
+    name: 'OperationError', httpStatusCode: 500
+  }],
+  ['not-allowed', {
+    title: 'The request is not allowed.',
+    name: 'NotAllowedError', httpStatusCode: 403
+  }],
+  ['not-found', {
+    title: 'The resource was not found.',
+    name: 'NotFoundError', httpStatusCode: 404
+  }],
+  ['not-supported', {
+    title: 'The requested feature is not supported.',
+    name: 'NotSupportedError', httpStatusCode: 400
+  }],
+  ['policy-violation', {
+    title: 'The credential is not allowed by the issuer\'s issue policy.',
+    name: 'NotAllowedError', httpStatusCode: 403
+  }],
+  ['status-list-exhausted', {
+    title: 'No more credential status list indexes are available.',
+    name: 'QuotaExceededError', httpStatusCode: 400
+  }],
+  ['status-service-error', {
+    title: 'The status service could not be used.',
+    name: 'OperationError', httpStatusCode: 500
+  }],
+  ['undefined-term', {
+    title: 'A term in the credential is not defined by its contexts.',
+    name: 'DataError', httpStatusCode: 400
+  }],
+  ['verification-error', {
+    title: 'The issued credential could not be verified.',
+    name: 'AbortError', httpStatusCode: 500
+  }]
+]);
+
+// BedrockError name => problem type
+const NAME_TO_PROBLEM_TYPE = new Map([
+  ['ConflictError', 'conflict'],
+  ['DataError', 'invalid-request'],
+  ['DuplicateError', 'duplicate'],
+  ['InvalidStateError', 'conflict'],
+  ['NotAllowedError', 'not-allowed'],
+  ['NotFoundError', 'not-found'],
+  ['NotSupportedError', 'not-supported'],
+  ['QuotaExceededError', 'status-list-exhausted'],
+  ['ValidationError', 'invalid-request']
+]);
+
+// JSON-LD safe mode event codes caused by terms missing from contexts
+const UNDEFINED_TERM_EVENT_CODES = new Set([
+  'invalid property',
+  'relative @type reference',
+  'relative predicate reference'
+]);
+
+// gets the ID of the problem type for an error
+export function getProblemType({error}) {
+  // BedrockErrors may be explicitly classified
+  if(error instanceof BedrockError) {
+    const {problemType, httpStatusCode = 500} = error.details ?? {};
+    if(PROBLEM_TYPES.has(problemType)) {
+      return problemType;
+    }
+    if(httpStatusCode >= 500) {
+      return 'internal-error';
+    }
+    return NAME_TO_PROBLEM_TYPE.get(error.name) ?? 'invalid-request';
+  }
+  return _classifyCause({cause: error});
+}
+
+// converts a BedrockError to an RFC 9457 problem details object; members of
+// the public error object are included for consistency with other responses
+export function toProblemDetails({error, instance} = {}) {
+  const problemType = getProblemType({error});
+  const {title} = PROBLEM_TYPES.get(problemType);
+  const object = error.toObject({public: true});
+  delete object.details?.problemType;
+  return {
+    ...object,
+    type: `${PROBLEM_TYPE_PREFIX}${problemType}`,
+    title,
+    status: error.details?.httpStatusCode ?? 500,
+    detail: object.message,
+    instance
+  };
+}
+
+// converts any error to an object that is safe to expose publicly
+export function toPublicError({cause}) {
+  // wrap if not already a BedrockError
+  const error = cause instanceof BedrockError ? cause : wrapError({cause});
+  return error.toObject({public: true});
+}
+
+// wraps a non-BedrockError in a public, classified BedrockError
+export function wrapError({cause}) {
+  const problemType = _classifyCause({cause});
+  const {title, name, httpStatusCode} = PROBLEM_TYPES.get(problemType);
+  return new BedrockError(
+    httpStatusCode < 500 ? 'Invalid credential.' : title, {
+      name,
+      details: {
+        // using sanitized 'error' field instead of 'cause' due to bedrock
+        // currently filtering out non-BedrockError causes.
+        error: _stripStackTrace(cause),
+        httpStatusCode: cause.httpStatusCode ?? httpStatusCode,
+        problemType,
+        public: true
+      }
+    });
+}
+
+// classifies errors thrown by libraries by their names; errors that are caused
+// by the request are otherwise thrown as classified BedrockErrors
+function _classifyCause({cause}) {
+  const {name = ''} = cause;
+  if(name === 'jsonld.ValidationError') {
+    return UNDEFINED_TERM_EVENT_CODES.has(cause.details?.event?.code) ?
+      'undefined-term' : 'invalid-json-ld';
+  }
+  if(name === 'jsonld.InvalidUrl' || name === 'jsonld.LoadDocumentError') {
+    return 'context-not-found';
+  }
+  if(name.startsWith('jsonld.')) {
+    return 'invalid-json-ld';
+  }
+  if(name === 'DataError') {
+    return 'invalid-credential';
+  }
+  return 'internal-error';
+}
+
+function _stripStackTrace(error) {
+  // serialize error and allow-list specific properties
+  const serialized = serializeError(error);
+  const _error = {};
+  for(const key of ALLOWED_ERROR_KEYS) {
+    if(serialized[key] !== undefined) {
+      _error[key] = serialized[key];
+    }
+  }
+  // strip other potential stack data
+  if(_error.errors) {
+    _error.errors = _error.errors.map(_stripStackTrace);
+  }
+  if(Array.isArray(_error.details?.errors)) {
+    _error.details.errors = _error.details.errors.map(_stripStackTrace);
+  }
+  if(_error.cause) {
+    _error.cause = _stripStackTrace(_error.cause);
+  }
+  if(_error.details?.cause) {
+    _error.details.cause = _stripStackTrace(_error.details.cause);
+  }
+  return _error;
+}
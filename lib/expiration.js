@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+import {LRUCache as LRU} from 'lru-cache';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// the maximum number of records that an EDV query can return
+const MAX_EDV_QUERY_LIMIT = 1000;
+
+let LAST_SWEEP_CACHE;
+
+bedrock.events.on('bedrock.init', () => {
+  const {expiration: {sweepInterval}} = bedrock.config['vc-issuer'];
+  LAST_SWEEP_CACHE = new LRU({max: 1000, ttl: sweepInterval});
+});
+
+/* Note: Records that expire (issuance jobs, idempotency records, and OID4VCI
+credential offers) are stored in the same EDV as issued VCs with
+`meta.expires` and `meta.expiresDay`, the UTC day on which they expire. EDV
+queries can only match exact values, so expired records are found by
+querying for each of the `expiration.sweepDays` days before the current one.
+Records are also treated as missing once expired, so any that are not swept
+are deleted when read. */
+
+// gets the `meta` properties for a record that expires at `expires`
+export function getExpirationMeta({expires} = {}) {
+  assert.date(expires, 'expires');
+  const iso = expires.toISOString();
+  return {expires: iso, expiresDay: iso.slice(0, 10)};
+}
+
+// whether the record in `doc` has expired
+export function isExpired({doc, now = new Date()} = {}) {
+  const expires = doc?.meta?.expires;
+  return expires !== undefined && new Date(expires) <= now;
+}
+
+// deletes the expired records in `edvClient`, at most once every
+// `expiration.sweepInterval` per issuer instance; failures are only logged
+export async function sweepExpired({config, edvClient} = {}) {
+  assert.object(config, 'config');
+  assert.object(edvClient, 'edvClient');
+
+  if(LAST_SWEEP_CACHE.has(config.id)) {
+    return;
+  }
+  LAST_SWEEP_CACHE.set(config.id, true);
+
+  const {expiration: {sweepDays}} = bedrock.config['vc-issuer'];
+  const now = Date.now();
+  const equals = [];
+  for(let i = 1; i <= sweepDays; ++i) {
+    const day = new Date(now - i * DAY_MS).toISOString().slice(0, 10);
+    equals.push({'meta.expiresDay': day});
+  }
+  try {
+    const {documents} = await edvClient.find({
+      equals, limit: MAX_EDV_QUERY_LIMIT
+    });
+    await Promise.all(documents.map(doc => deleteExpired({edvClient, doc})));
+  } catch(error) {
+    logger.error('Could not delete expired records.', {error});
+  }
+}
+
+// deletes `doc`, ignoring any error caused by it having already been deleted
+// or changed by another process
+export async function deleteExpired({edvClient, doc} = {}) {
+  try {
+    await edvClient.delete({doc});
+  } catch(e) {
+    if(!(e.name === 'NotFoundError' || e.name === 'InvalidStateError')) {
+      throw e;
+    }
+  }
+}
@@ -1,22 +1,34 @@
 /*!
- * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import {AsymmetricKey, KmsClient} from '@digitalbazaar/webkms-client';
+import {CREDENTIAL_MEDIA_TYPE, serviceType} from './constants.js';
+import {getEnvelopeMediaType, getEnvelopeParams} from './envelopes.js';
 import {didIo} from '@bedrock/did-io';
 import {documentStores} from '@bedrock/service-agent';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {generateId} from 'bnid';
-import {getEnvelopeParams} from './envelopes.js';
 import {getSuiteParams} from './suites.js';
 import {httpsAgent} from '@bedrock/https-agent';
 import {logger} from './logger.js';
+import {LRUCache as LRU} from 'lru-cache';
 import {serviceAgents} from '@bedrock/service-agent';
-import {serviceType} from './constants.js';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
 const {util: {BedrockError}} = bedrock;
 
+let ASSERTION_METHOD_KEY_CACHE;
+
+bedrock.events.on('bedrock.init', () => {
+  const {caches} = bedrock.config['vc-issuer'];
+  ASSERTION_METHOD_KEY_CACHE = new LRU({
+    ...caches.assertionMethodKey,
+    fetchMethod: (key, staleValue, {context}) =>
+      _getUncachedAssertionMethodKey(context)
+  });
+});
+
 export function createZcapClient({capabilityAgent}) {
   const invocationSigner = capabilityAgent.getSigner();
   return new ZcapClient({
@@ -50,10 +62,54 @@ export async function getDocumentStore({config}) {
     attribute: ['meta.credentialStatus.id'],
     unique: true
   });
+  // use `meta.jobId` to find issuance jobs
+  edvClient.ensureIndex({
+    attribute: ['meta.jobId'],
+    unique: true
+  });
+  // use `meta.idempotencyKey` to find stored responses to issue requests
+  edvClient.ensureIndex({
+    attribute: ['meta.idempotencyKey'],
+    unique: true
+  });
+  // use secret hashes to find OID4VCI credential offers
+  for(const attribute of [
+    'meta.preAuthorizedCodeHash', 'meta.accessTokenHash'
+  ]) {
+    edvClient.ensureIndex({attribute: [attribute], unique: true});
+  }
+  // use other fields for listing VCs
+  for(const attribute of [
+    'meta.credentialType', 'meta.credentialSubjectId', 'meta.statusPurpose',
+    'meta.issuedPeriod'
+  ]) {
+    edvClient.ensureIndex({attribute: [attribute]});
+  }
+  // use `meta.issuedCredentialId` to find records that hold a copy of a VC
+  // and `meta.deletedCredentialId` to find the tombstones of deleted VCs
+  for(const attribute of [
+    'meta.issuedCredentialId', 'meta.deletedCredentialId'
+  ]) {
+    edvClient.ensureIndex({attribute: [attribute]});
+  }
+  // use `meta.expiresDay` to find expired records to delete
+  edvClient.ensureIndex({attribute: ['meta.expiresDay']});
+  // use `content.template.type` to find the credential templates for a type
+  edvClient.ensureIndex({attribute: ['content.template.type']});
   return documentStore;
 }
 
-export async function getIssuerAndSecuringMethods({config, options}) {
+export async function getIssuerAndSecuringMethods({
+  config, options, mediaType, credential
+}) {
+  const {issuer, params} = await getIssuerAndSigners({config});
+  const {suites, enveloper, verifySuites} = await createSecuringMethods({
+    config, options, params, mediaType, credential
+  });
+  return {issuer, suites, enveloper, verifySuites};
+}
+
+export async function getIssuerAndSigners({config}) {
   // get each suite's params for issuing a VC
   let issuer;
   let params;
@@ -76,42 +132,22 @@ export async function getIssuerAndSecuringMethods({config, options}) {
     }
   }
 
-  // get assertion method key to use with each suite and ensure suites are
-  // created in deterministic order by attaching suite instances to `params`
+  // get assertion method key to use with each suite; these keys can be
+  // reused to create securing methods for any number of credentials; the
+  // service agent caches ephemeral agents
   const {serviceAgent} = await serviceAgents.get({serviceType});
   const {
     capabilityAgent, zcaps
   } = await serviceAgents.getEphemeralAgent({config, serviceAgent});
   const invocationSigner = capabilityAgent.getSigner();
-  const kmsClient = new KmsClient({httpsAgent});
-  let enveloper;
   await Promise.all(params.map(async p => {
     const zcap = zcaps[p.referenceId];
     try {
-      p.assertionMethodKey = await AsymmetricKey.fromCapability({
-        capability: zcap, invocationSigner, kmsClient
-      });
-      p.suite = await p.createSuite?.({
-        signer: p.assertionMethodKey, config, options,
-        cryptosuiteConfig: p.cryptosuite
-      });
-      // only one enveloper possible
-      enveloper = p.enveloper = await p.createEnveloper?.({
-        signer: p.assertionMethodKey, config, options,
-        envelopeConfig: p.envelope
+      p.assertionMethodKey = await _getAssertionMethodKey({
+        config, zcap, invocationSigner
       });
     } catch(cause) {
-      const error = new BedrockError(
-        'Unable to create cryptosuite suite for issuance: ' + cause.message, {
-          name: 'AbortError',
-          details: {
-            httpStatusCode: 500,
-            public: true
-          },
-          cause
-        });
-      logger.error(error.message, {error});
-      throw error;
+      _throwSecuringMethodError({cause});
     }
   }));
 
@@ -127,6 +163,7 @@ export async function getIssuerAndSecuringMethods({config, options}) {
           name: 'AbortError',
           details: {
             httpStatusCode: 500,
+            problemType: 'key-management-error',
             public: true
           },
           cause
@@ -134,6 +171,199 @@ export async function getIssuerAndSecuringMethods({config, options}) {
     }
   }
 
-  const suites = params.filter(({suite}) => !!suite).map(({suite}) => suite);
-  return {issuer, suites, enveloper};
+  return {issuer, params};
+}
+
+export async function createSecuringMethods({
+  config, options, params, mediaType, credential
+}) {
+  // create suites in deterministic order by mapping over `params`; `params`
+  // is not modified so that it can be reused for other credentials
+  let enveloper;
+  const {verifyAfterIssue = false} = config.issueOptions;
+  params = _selectSecuringParams({options, params, mediaType});
+  const methods = await Promise.all(params.map(async p => {
+    try {
+      const suite = await p.createSuite?.({
+        signer: p.assertionMethodKey, config, options,
+        cryptosuiteConfig: p.cryptosuite, credential
+      });
+      // create a suite to verify the suite's proof after issuance with
+      let verifySuite;
+      if(suite && verifyAfterIssue) {
+        verifySuite = {
+          suite: await p.createVerifySuite({
+            config, options, cryptosuiteConfig: p.cryptosuite, credential
+          }),
+          createDeriveSuite: p.createDeriveSuite
+        };
+      }
+      // only one enveloper possible
+      const pEnveloper = await p.createEnveloper?.({
+        signer: p.assertionMethodKey, config, options,
+        envelopeConfig: p.envelope
+      });
+      if(pEnveloper) {
+        enveloper = pEnveloper;
+      }
+      return {suite, verifySuite};
+    } catch(cause) {
+      // errors caused by the request's options are not securing errors
+      if(cause instanceof BedrockError &&
+        cause.details?.httpStatusCode < 500) {
+        throw cause;
+      }
+      _throwSecuringMethodError({cause});
+    }
+  }));
+  // `verifySuites[i]` verifies the proof created by `suites[i]`
+  const secured = methods.filter(({suite}) => !!suite);
+  const suites = secured.map(({suite}) => suite);
+  const verifySuites = verifyAfterIssue ?
+    secured.map(({verifySuite}) => verifySuite) : undefined;
+  return {suites, enveloper, verifySuites};
+}
+
+// ensures that each suite in `config` supports the type of every assertion
+// method key it can sign with, including keys that only become active later;
+// the keys are fetched from the KMS without being cached
+export async function validateKeyTypes({config}) {
+  const {issueOptions} = config;
+  const params = issueOptions.suiteName ?
+    [getSuiteParams({config, suiteName: issueOptions.suiteName})] :
+    (issueOptions.cryptosuites ?? []).map(
+      cryptosuite => getSuiteParams({config, cryptosuite}));
+  if(params.length === 0) {
+    return;
+  }
+
+  const {serviceAgent} = await serviceAgents.get({serviceType});
+  const {
+    capabilityAgent, zcaps
+  } = await serviceAgents.getEphemeralAgent({config, serviceAgent});
+  const invocationSigner = capabilityAgent.getSigner();
+  await Promise.all(params.flatMap(({cryptosuite, keyTypes}) => {
+    const {
+      assertionMethod, assertionMethods = []
+    } = cryptosuite.zcapReferenceIds;
+    const referenceIds = new Set([
+      assertionMethod, ...assertionMethods.map(({referenceId}) => referenceId)
+    ].filter(referenceId => config.zcaps[referenceId] !== undefined));
+    return [...referenceIds].map(async referenceId => {
+      const {algorithm} = await _getUncachedAssertionMethodKey({
+        zcap: zcaps[referenceId], invocationSigner
+      });
+      if(!keyTypes.includes(algorithm)) {
+        throw new Error(
+          `Suite "${cryptosuite.name}" does not support key type ` +
+          `"${algorithm}".`);
+      }
+    });
+  }));
+}
+
+// gets a KMS key handle for invoking `zcap`; handles are cached per config
+// and delegated zcap, and each ephemeral agent (including any for a changed
+// service agent) is delegated new zcaps, so a key is fetched again whenever
+// the config changes or its ephemeral agent is replaced
+async function _getAssertionMethodKey({config, zcap, invocationSigner}) {
+  const key = JSON.stringify([config.id, config.sequence, zcap?.id]);
+  return ASSERTION_METHOD_KEY_CACHE.fetch(key, {
+    context: {zcap, invocationSigner}
+  });
+}
+
+async function _getUncachedAssertionMethodKey({zcap, invocationSigner}) {
+  const kmsClient = new KmsClient({httpsAgent});
+  return _classifySigningErrors({
+    key: await AsymmetricKey.fromCapability({
+      capability: zcap, invocationSigner, kmsClient
+    })
+  });
+}
+
+// ensures errors from signing via the KMS can be told apart from errors in
+// the data being signed
+function _classifySigningErrors({key}) {
+  const {sign} = key;
+  key.sign = async function(...args) {
+    try {
+      return await sign.apply(key, args);
+    } catch(cause) {
+      throw new BedrockError('Unable to sign using the issuer\'s key.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          problemType: 'key-management-error',
+          public: true
+        },
+        cause
+      });
+    }
+  };
+  return key;
+}
+
+// selects the configured securing methods to use for a credential, given
+// any `options.cryptosuites` and the requested credential media type
+function _selectSecuringParams({options = {}, params, mediaType}) {
+  const {cryptosuites} = options;
+  if(cryptosuites) {
+    const configured = params.filter(p => !p.envelope)
+      .map(p => p.cryptosuite.name);
+    const unknown = cryptosuites.find(name => !configured.includes(name));
+    if(unknown !== undefined) {
+      throw new BedrockError(
+        `Cryptosuite "${unknown}" is not configured for this issuer.`, {
+          name: 'NotSupportedError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+  }
+
+  const selected = params.filter(p => {
+    if(p.envelope) {
+      // an envelope is used unless a different media type is requested
+      return mediaType === undefined ||
+        getEnvelopeMediaType({envelope: p.envelope}) === mediaType;
+    }
+    // when an envelope media type is requested, cryptosuites are only used
+    // if explicitly selected
+    if(cryptosuites) {
+      return cryptosuites.includes(p.cryptosuite.name);
+    }
+    return mediaType === undefined || mediaType === CREDENTIAL_MEDIA_TYPE;
+  });
+
+  if(mediaType !== undefined && (selected.length === 0 || (
+    mediaType !== CREDENTIAL_MEDIA_TYPE && !selected.some(p => p.envelope)))) {
+    throw new BedrockError(
+      `This issuer cannot secure credentials as "${mediaType}".`, {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 406,
+          mediaType,
+          public: true
+        }
+      });
+  }
+  return selected;
+}
+
+function _throwSecuringMethodError({cause}) {
+  const error = new BedrockError(
+    'Unable to create cryptosuite suite for issuance: ' + cause.message, {
+      name: 'AbortError',
+      details: {
+        httpStatusCode: 500,
+        problemType: 'key-management-error',
+        public: true
+      },
+      cause
+    });
+  logger.error(error.message, {error});
+  throw error;
 }
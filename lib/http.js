@@ -2,21 +2,42 @@
  * Copyright (c) 2018-2026 Digital Bazaar, Inc.
  */
 import * as bedrock from '@bedrock/core';
+import {
+  createCredentialSchemaBody, createCredentialTemplateBody,
+  deleteCredentialQuery, issueCredentialBody, issueCredentialsBatchBody,
+  listCredentialsQuery, oid4vciCredentialRequestBody,
+  updateCredentialSchemaBody, updateCredentialStatusBody,
+  updateCredentialTemplateBody
+} from '../schemas/bedrock-vc-issuer.js';
+import {createJob, getJob} from './jobs.js';
+import {
+  createOffer, exchangePreAuthorizedCode, getAuthorizationServerMetadata,
+  getCredentialIssuerMetadata, issueRequestedCredential
+} from './oid4vci.js';
+import {
+  createTemplate, deleteTemplate, getCredential, getTemplate, updateTemplate
+} from './templates.js';
+import {deleteCredential, listCredentials} from './credentials.js';
+import {issue, issueBatch, validate as validateCredential} from './issuer.js';
 import {metering, middleware} from '@bedrock/service-core';
+import {toProblemDetails, toPublicError, wrapError} from './errors.js';
+import {addDocumentRoutes} from '@bedrock/service-agent';
 import {asyncHandler} from '@bedrock/express';
 import cors from 'cors';
+import {CREDENTIAL_MEDIA_TYPE} from './constants.js';
 import {getDocumentStore} from './helpers.js';
-import {issue} from './issuer.js';
-import {issueCredentialBody} from '../schemas/bedrock-vc-issuer.js';
+import {getMetadata} from './metadata.js';
 import {logger} from './logger.js';
-import {serializeError} from 'serialize-error';
+import {runIdempotent} from './idempotency.js';
+import {SCHEMA_TYPE} from './credentialSchemas.js';
+import {setStatus} from './status.js';
 import {createValidateMiddleware as validate} from '@bedrock/validation';
 
 const {util: {BedrockError}} = bedrock;
 
-const ALLOWED_ERROR_KEYS = [
-  'message', 'name', 'type', 'data', 'errors', 'error', 'details', 'cause',
-  'status'
+// media types that VCs can be secured as via content negotiation
+const CREDENTIAL_MEDIA_TYPES = [
+  CREDENTIAL_MEDIA_TYPE, 'application/jwt', 'application/mdl'
 ];
 
 export async function addRoutes({app, service} = {}) {
@@ -26,7 +47,31 @@ export async function addRoutes({app, service} = {}) {
   const baseUrl = `${routePrefix}/:localId`;
   const routes = {
     credential: `${baseUrl}${cfg.routes.credentials}/:credentialId`,
+    credentialSchema: `${baseUrl}${cfg.routes.credentialSchemas}/:schemaId`,
+    credentialSchemas: `${baseUrl}${cfg.routes.credentialSchemas}`,
+    credentialTemplate:
+      `${baseUrl}${cfg.routes.credentialTemplates}/:templateId`,
+    credentialTemplates: `${baseUrl}${cfg.routes.credentialTemplates}`,
+    credentials: `${baseUrl}${cfg.routes.credentials}`,
     credentialsIssue: `${baseUrl}${cfg.routes.credentialsIssue}`,
+    credentialsIssueBatch: `${baseUrl}${cfg.routes.credentialsIssueBatch}`,
+    credentialsJob: `${baseUrl}${cfg.routes.credentialsJobs}/:jobId`,
+    credentialsStatus: `${baseUrl}${cfg.routes.credentialsStatus}`,
+    credentialsValidate: `${baseUrl}${cfg.routes.credentialsValidate}`,
+    metadata: `${baseUrl}${cfg.routes.metadata}`,
+    oid4vciAuthorizationServerMetadata:
+      `${baseUrl}${cfg.routes.oid4vciAuthorizationServerMetadata}`,
+    oid4vciCredential: `${baseUrl}${cfg.routes.oid4vciCredential}`,
+    oid4vciCredentialIssuerMetadata:
+      `${baseUrl}${cfg.routes.oid4vciCredentialIssuerMetadata}`,
+    oid4vciOffers: `${baseUrl}${cfg.routes.oid4vciOffers}`,
+    oid4vciToken: `${baseUrl}${cfg.routes.oid4vciToken}`,
+    // metadata URLs with the well-known path inserted before the issuer
+    // instance's path, per RFC 8414
+    oid4vciWellKnownAuthorizationServerMetadata:
+      `${cfg.routes.oid4vciAuthorizationServerMetadata}${baseUrl}`,
+    oid4vciWellKnownCredentialIssuerMetadata:
+      `${cfg.routes.oid4vciCredentialIssuerMetadata}${baseUrl}`,
     publishSlc: `${baseUrl}${cfg.routes.publishSlc}`,
     publishTerseSlc: `${baseUrl}${cfg.routes.publishTerseSlc}`,
     slc: `${baseUrl}${cfg.routes.slc}`,
@@ -39,6 +84,37 @@ export async function addRoutes({app, service} = {}) {
   uses HTTP signatures + capabilities or OAuth2, not cookies; CSRF is not
   possible. */
 
+  // list previously issued VCs that have been stored
+  app.options(routes.credentials, cors());
+  app.get(
+    routes.credentials,
+    cors(),
+    validate({querySchema: listCredentialsQuery}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {
+          type, credentialSubjectId, statusPurpose,
+          issuedAfter, issuedBefore, cursor
+        } = req.query;
+        const limit = req.query.limit === undefined ?
+          undefined : parseInt(req.query.limit, 10);
+        const result = await listCredentials({
+          config, type, credentialSubjectId, statusPurpose,
+          issuedAfter, issuedBefore, limit, cursor
+        });
+        res.status(200).json(result);
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
   // return a previously issued VC, if it has `credentialStatus`
   app.options(routes.credential, cors());
   app.get(
@@ -77,7 +153,131 @@ export async function addRoutes({app, service} = {}) {
       metering.reportOperationUsage({req});
     }));
 
-  // issue a VC
+  // delete a previously issued VC, keeping a tombstone with its statuses
+  // unless `tombstone=false` is given
+  app.delete(
+    routes.credential,
+    cors(),
+    validate({querySchema: deleteCredentialQuery}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {credentialId} = req.params;
+        const tombstone = req.query.tombstone !== 'false';
+        await deleteCredential({config, credentialId, tombstone});
+        res.status(204).end();
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // create, get, and update JSON schemas referenced by `credentialSchema`s
+  // in issued VCs; VCs are validated against these before being secured
+  addDocumentRoutes({
+    app, service,
+    type: SCHEMA_TYPE,
+    typeName: 'Credential schema',
+    contentProperty: 'schema',
+    basePath: cfg.routes.credentialSchemas,
+    pathParam: 'schemaId',
+    createBodySchema: createCredentialSchemaBody,
+    updateBodySchema: updateCredentialSchemaBody
+  });
+
+  // create, get, update, and delete credential templates; `claims` in issue
+  // requests can be merged into a template given by `options.templateId`
+  app.options(routes.credentialTemplates, cors());
+  app.post(
+    routes.credentialTemplates,
+    cors(),
+    validate({bodySchema: createCredentialTemplateBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {id, template} = req.body;
+        const result = await createTemplate({config, id, template});
+        const location =
+          `${config.id}${cfg.routes.credentialTemplates}/` +
+          encodeURIComponent(id);
+        res.status(201).location(location).json(result);
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+  app.options(routes.credentialTemplate, cors());
+  app.post(
+    routes.credentialTemplate,
+    cors(),
+    validate({bodySchema: updateCredentialTemplateBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {id, template, sequence} = req.body;
+        res.json(await updateTemplate({config, id, template, sequence}));
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+  app.get(
+    routes.credentialTemplate,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {templateId} = req.params;
+        res.json(await getTemplate({config, templateId}));
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+  app.delete(
+    routes.credentialTemplate,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {templateId} = req.params;
+        await deleteTemplate({config, templateId});
+        res.status(204).end();
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // issue a VC; if `Prefer: respond-async` is given, issue it in the
+  // background and return the job to poll for it instead; if
+  // `Idempotency-Key` is given, return the original response to any retry
+  // of the same request (including its `Accept` and `Prefer` headers)
   app.options(routes.credentialsIssue, cors());
   app.post(
     routes.credentialsIssue,
@@ -86,82 +286,403 @@ export async function addRoutes({app, service} = {}) {
     getConfigMiddleware,
     middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
+      let replayed = false;
       try {
         const {config} = req.serviceObject;
-        const {credential, options} = req.body;
-        const {
-          verifiableCredential, envelopedVerifiableCredential
-        } = await issue({credential, config, options});
-        const body = {
-          verifiableCredential:
-            envelopedVerifiableCredential ?? verifiableCredential
+        const operation = () => _issueCredential({config, req});
+        const idempotencyKey = req.get('idempotency-key');
+        const request = {
+          body: req.body, accept: req.get('accept'), prefer: req.get('prefer')
         };
-        res.status(201).json(body);
+        const response = idempotencyKey === undefined ?
+          await operation() :
+          await runIdempotent({config, idempotencyKey, request, operation});
+        const {status, body, location} = response;
+        replayed = response.replayed === true;
+        if(location) {
+          res.location(location);
+        }
+        res.status(status).json(body);
       } catch(error) {
         logger.error(error.message, {error});
         // wrap if not already a BedrockError
-        if(!(error instanceof BedrockError)) {
-          _throwWrappedError({cause: error});
-        }
+        throw error instanceof BedrockError ? error : wrapError({cause: error});
+      }
+
+      // meter operation usage; replayed responses did not issue another VC
+      if(!replayed) {
+        metering.reportOperationUsage({req});
+      }
+    }));
+
+  // run every issuance check on a VC without issuing it
+  app.options(routes.credentialsValidate, cors());
+  app.post(
+    routes.credentialsValidate,
+    cors(),
+    validate({bodySchema: issueCredentialBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {options} = req.body;
+        const credential = await getCredential({config, ...req.body});
+        const result = await validateCredential({
+          credential, config, options,
+          mediaType: _getCredentialMediaType({req})
+        });
+        res.status(200).json(result);
+      } catch(error) {
+        logger.error(error.message, {error});
+        // wrap if not already a BedrockError
+        throw error instanceof BedrockError ? error : wrapError({cause: error});
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // issue a batch of VCs
+  app.options(routes.credentialsIssueBatch, cors());
+  app.post(
+    routes.credentialsIssueBatch,
+    cors(),
+    validate({bodySchema: issueCredentialsBatchBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      let results;
+      try {
+        const {config} = req.serviceObject;
+        // get every credential first; items with a credential that cannot be
+        // gotten fail without preventing the others from being issued
+        const items = await Promise.all(req.body.items.map(async item => {
+          try {
+            const credential = await getCredential({config, ...item});
+            return {credential, options: item.options};
+          } catch(error) {
+            return {error};
+          }
+        }));
+        const issued = await issueBatch({
+          items: items.filter(({error}) => !error), config,
+          mediaType: _getCredentialMediaType({req})
+        });
+        results = items.map(item => item.error ? item : issued.shift());
+      } catch(error) {
+        logger.error(error.message, {error});
+        // wrap if not already a BedrockError
+        throw error instanceof BedrockError ? error : wrapError({cause: error});
+      }
+
+      // produce a result for every item, in order; failed items include an
+      // error instead of a VC
+      const body = {
+        items: results.map(({
+          verifiableCredential, envelopedVerifiableCredential, error
+        }) => {
+          if(error) {
+            logger.error(error.message, {error});
+            return {error: toPublicError({cause: error})};
+          }
+          // meter operation usage for every issued VC
+          metering.reportOperationUsage({req});
+          return {
+            verifiableCredential:
+              envelopedVerifiableCredential ?? verifiableCredential
+          };
+        })
+      };
+      res.status(200).json(body);
+    }));
+
+  // get an issuance job
+  app.options(routes.credentialsJob, cors());
+  app.get(
+    routes.credentialsJob,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {jobId} = req.params;
+        const job = await getJob({config, jobId});
+        res.status(200).json({...job, id: _getJobUrl({config, jobId})});
+      } catch(error) {
+        logger.error(error.message, {error});
         throw error;
       }
 
       // meter operation usage
       metering.reportOperationUsage({req});
     }));
-}
 
-// known error cause names to map to 'DataError'
-const _dataErrors = new Set([
-  'DataError',
-  'jsonld.InvalidUrl',
-  'jsonld.ValidationError'
-]);
-// TODO: handle other possible errors
-// in particular @digitalbazaar/vc throws many simple 'TypeError' and
-// 'Error' errors. Difficult to distinguish them from other errors.
-
-function _throwWrappedError({cause}) {
-  const {name/*, message*/} = cause;
-
-  // TODO: should this be verbose with the top level error?  it's also in the
-  // 'error' field.
-  //const error = new BedrockError(message ?? 'Invalid credential.', {
-  const error = new BedrockError('Invalid credential.', {
-    name: _dataErrors.has(name) ? 'DataError' : 'OperationError',
-    details: {
-      // using sanitized 'error' field instead of 'cause' due to bedrock
-      // currently filtering out non-BedrockError causes.
-      error: _stripStackTrace(cause),
-      httpStatusCode: cause.httpStatusCode ?? 400,
-      public: true
-    }
-  });
+  // update the status of a previously issued VC
+  app.options(routes.credentialsStatus, cors());
+  app.post(
+    routes.credentialsStatus,
+    cors(),
+    validate({bodySchema: updateCredentialStatusBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {credentialStatus, status = true} = req.body;
+        const credentialId = req.body.credentialId ?? req.body.credential.id;
+        await setStatus({config, credentialId, credentialStatus, status});
+        res.status(200).end();
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // get what this issuer instance supports
+  app.options(routes.metadata, cors());
+  app.get(
+    routes.metadata,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        res.status(200).json(await getMetadata({config}));
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  /* Note: The OID4VCI metadata, token, and credential endpoints are used by
+  wallets; they are not authorized via zcaps or OAuth2 but via the
+  pre-authorized code in a credential offer and the access token it is
+  exchanged for. Metadata is served at the well-known URLs that OID4VCI and
+  RFC 8414 derive from an issuer instance's ID (the well-known path inserted
+  before the instance's path) and, for wallets that implement earlier drafts,
+  with the well-known path appended to the instance's ID. */
+
+  // get OID4VCI credential issuer metadata
+  const credentialIssuerMetadataRoutes = [
+    routes.oid4vciWellKnownCredentialIssuerMetadata,
+    routes.oid4vciCredentialIssuerMetadata
+  ];
+  app.options(credentialIssuerMetadataRoutes, cors());
+  app.get(
+    credentialIssuerMetadataRoutes,
+    cors(),
+    getConfigMiddleware,
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      res.status(200).json(getCredentialIssuerMetadata({config}));
+    }));
+
+  // get OID4VCI authorization server metadata
+  const authorizationServerMetadataRoutes = [
+    routes.oid4vciWellKnownAuthorizationServerMetadata,
+    routes.oid4vciAuthorizationServerMetadata
+  ];
+  app.options(authorizationServerMetadataRoutes, cors());
+  app.get(
+    authorizationServerMetadataRoutes,
+    cors(),
+    getConfigMiddleware,
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      res.status(200).json(getAuthorizationServerMetadata({config}));
+    }));
+
+  // create an OID4VCI credential offer
+  app.options(routes.oid4vciOffers, cors());
+  app.post(
+    routes.oid4vciOffers,
+    cors(),
+    validate({bodySchema: issueCredentialBody}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {options} = req.body;
+        const credential = await getCredential({config, ...req.body});
+        const credentialOffer = await createOffer({
+          config, credential, options
+        });
+        const credentialOfferUrl =
+          'openid-credential-offer://?credential_offer=' +
+          encodeURIComponent(JSON.stringify(credentialOffer));
+        res.status(201).json({credentialOffer, credentialOfferUrl});
+      } catch(error) {
+        logger.error(error.message, {error});
+        throw error;
+      }
+    }));
+
+  // exchange an OID4VCI pre-authorized code for an access token
+  app.options(routes.oid4vciToken, cors());
+  app.post(
+    routes.oid4vciToken,
+    cors(),
+    getConfigMiddleware,
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const {
+          grant_type: grantType,
+          'pre-authorized_code': preAuthorizedCode
+        } = req.body ?? {};
+        const result = await exchangePreAuthorizedCode({
+          config, grantType, preAuthorizedCode
+        });
+        res.set('cache-control', 'no-store');
+        res.status(200).json(result);
+      } catch(error) {
+        _sendOAuthError({res, error});
+      }
+    }));
+
+  // issue a VC via OID4VCI
+  app.options(routes.oid4vciCredential, cors());
+  app.post(
+    routes.oid4vciCredential,
+    cors(),
+    validate({bodySchema: oid4vciCredentialRequestBody}),
+    getConfigMiddleware,
+    asyncHandler(async (req, res) => {
+      try {
+        const {config} = req.serviceObject;
+        const result = await issueRequestedCredential({
+          config, accessToken: _getBearerToken({req}), request: req.body
+        });
+        res.status(200).json(result);
+      } catch(error) {
+        _sendOAuthError({res, error});
+        return;
+      }
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+    }));
+
+  // send RFC 9457 problem details for errors from the routes above to clients
+  // that prefer them; other clients get bedrock's default error format
+  app.use(Object.values(routes), _sendProblemDetails);
+}
 
-  throw error;
+function _getBearerToken({req}) {
+  const [scheme, token] = (req.get('authorization') ?? '').split(' ');
+  return scheme?.toLowerCase() === 'bearer' ? token : undefined;
 }
 
-function _stripStackTrace(error) {
-  // serialize error and allow-list specific properties
-  const serialized = serializeError(error);
-  const _error = {};
-  for(const key of ALLOWED_ERROR_KEYS) {
-    if(serialized[key] !== undefined) {
-      _error[key] = serialized[key];
-    }
+// gets the media type to secure a VC as from the request's `Accept` header
+// or `undefined` if any media type may be used
+function _getCredentialMediaType({req}) {
+  if(req.get('accept') === undefined) {
+    return;
+  }
+
+  // use the most preferred media type that is explicitly accepted
+  const accepted = req.accepts().map(type => type.toLowerCase());
+  const mediaType = accepted.find(
+    type => CREDENTIAL_MEDIA_TYPES.includes(type));
+  if(mediaType !== undefined) {
+    return mediaType;
+  }
+
+  // use any media type accepted via a wildcard unless some are excluded
+  // (via `q=0`), in which case use the first of the others
+  const acceptable = CREDENTIAL_MEDIA_TYPES.filter(type => req.accepts(type));
+  if(acceptable.length === CREDENTIAL_MEDIA_TYPES.length) {
+    return;
   }
-  // strip other potential stack data
-  if(_error.errors) {
-    _error.errors = _error.errors.map(_stripStackTrace);
+  if(acceptable.length > 0) {
+    return acceptable[0];
   }
-  if(Array.isArray(_error.details?.errors)) {
-    _error.details.errors = _error.details.errors.map(_stripStackTrace);
+
+  // any media type may be used if a JSON response is otherwise accepted
+  if(accepted.some(type => type === 'application/json' ||
+    type.endsWith('+json'))) {
+    return;
+  }
+  throw new BedrockError(
+    'This issuer cannot secure credentials as any accepted media type.', {
+      name: 'NotSupportedError',
+      details: {
+        httpStatusCode: 406,
+        public: true
+      }
+    });
+}
+
+function _getJobUrl({config, jobId}) {
+  const {routes} = bedrock.config['vc-issuer'];
+  return `${config.id}${routes.credentialsJobs}/${encodeURIComponent(jobId)}`;
+}
+
+async function _issueCredential({config, req}) {
+  const {options} = req.body;
+  const credential = await getCredential({config, ...req.body});
+  const mediaType = _getCredentialMediaType({req});
+  if(_prefersAsync({req})) {
+    const job = await createJob({credential, config, options, mediaType});
+    const location = _getJobUrl({config, jobId: job.id});
+    return {status: 202, body: {...job, id: location}, location};
+  }
+  const {
+    verifiableCredential, envelopedVerifiableCredential, credentialId
+  } = await issue({credential, config, options, mediaType});
+  return {
+    status: 201,
+    body: {
+      verifiableCredential:
+        envelopedVerifiableCredential ?? verifiableCredential
+    },
+    credentialId
+  };
+}
+
+function _prefersAsync({req}) {
+  const prefer = req.get('prefer') ?? '';
+  return prefer.split(',').some(
+    p => p.trim().toLowerCase() === 'respond-async');
+}
+
+// sends OAuth2 / OID4VCI errors in their expected format, throws others
+function _sendOAuthError({res, error}) {
+  logger.error(error.message, {error});
+  const {oauthError, httpStatusCode} = error.details ?? {};
+  if(!oauthError) {
+    // wrap if not already a BedrockError
+    throw error instanceof BedrockError ? error : wrapError({cause: error});
   }
-  if(_error.cause) {
-    _error.cause = _stripStackTrace(_error.cause);
+  if(httpStatusCode === 401) {
+    res.set('www-authenticate', `Bearer error="${oauthError}"`);
   }
-  if(_error.details?.cause) {
-    _error.details.cause = _stripStackTrace(_error.details.cause);
+  res.status(httpStatusCode).json({
+    error: oauthError,
+    error_description: error.message
+  });
+}
+
+function _sendProblemDetails(err, req, res, next) {
+  if(res.headersSent || req.accepts(
+    ['application/json', 'application/problem+json']) !==
+    'application/problem+json') {
+    return next(err);
   }
-  return _error;
+  // wrap if not already a BedrockError
+  const error = err instanceof BedrockError ? err : wrapError({cause: err});
+  const problem = toProblemDetails({error, instance: req.originalUrl});
+  res.status(problem.status)
+    .type('application/problem+json')
+    .send(JSON.stringify(problem));
 }
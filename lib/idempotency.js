@@ -0,0 +1,185 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import {getExpirationMeta, isExpired, sweepExpired} from './expiration.js';
+import assert from 'assert-plus';
+import {createHash} from 'node:crypto';
+import {getDocumentStore} from './helpers.js';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const RECORD_TYPE = 'IdempotencyRecord';
+
+/* Note: Idempotency records are stored in the same EDV as issued VCs. A
+record is created before the operation runs so that concurrent requests with
+the same key are rejected instead of running the operation more than once. If
+the operation fails, the record is removed so the request can be retried. A
+pending record is leased for `idempotency.leaseTtl`; if the process running
+the operation exits before storing its response, a retried request can run
+the operation again once the lease has expired. Records are deleted once
+`idempotency.ttl` has passed. */
+
+// runs `operation` at most once per `idempotencyKey` and `request`, returning
+// its `{status, body, location}` response; the stored response is returned
+// with `replayed: true` for any retried request
+export async function runIdempotent({
+  config, idempotencyKey, request, operation
+} = {}) {
+  assert.object(config, 'config');
+  assert.string(idempotencyKey, 'idempotencyKey');
+  assert.object(request, 'request');
+  assert.func(operation, 'operation');
+
+  if(!(idempotencyKey.length > 0 &&
+    idempotencyKey.length <= MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    throw new BedrockError(
+      '"Idempotency-Key" must be between 1 and ' +
+      `${MAX_IDEMPOTENCY_KEY_LENGTH} characters.`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  const {edvClient} = await getDocumentStore({config});
+  sweepExpired({config, edvClient});
+  const requestHash = _hash({request});
+  let {documents: [doc]} = await edvClient.find({
+    equals: {'meta.idempotencyKey': idempotencyKey}
+  });
+
+  // return any unexpired stored response; a pending record with an expired
+  // lease is reused below as if it had expired
+  const now = new Date();
+  if(doc && !isExpired({doc, now})) {
+    const {content} = doc;
+    if(content.requestHash !== requestHash) {
+      throw new BedrockError(
+        '"Idempotency-Key" has already been used for a different request.', {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 422,
+            public: true
+          }
+        });
+    }
+    if(content.status === 'pending') {
+      if(new Date(content.lease.expires) > now) {
+        _throwPendingError();
+      }
+    } else if(content.status === 'erased') {
+      throw new BedrockError(
+        'The credential issued for this request has been deleted.', {
+          name: 'NotFoundError',
+          details: {
+            httpStatusCode: 410,
+            public: true
+          }
+        });
+    } else {
+      return {...content.response, replayed: true};
+    }
+  }
+
+  // create a pending record (or reuse an expired one) before running the
+  // operation; a conflict means another request with the key is in progress
+  const {ttl, leaseTtl} = bedrock.config['vc-issuer'].idempotency;
+  const expires = new Date(now.getTime() + ttl);
+  const content = {
+    type: RECORD_TYPE,
+    status: 'pending',
+    requestHash,
+    created: now.toISOString(),
+    expires: expires.toISOString(),
+    lease: {expires: new Date(now.getTime() + leaseTtl).toISOString()}
+  };
+  const meta = {
+    type: RECORD_TYPE,
+    idempotencyKey,
+    ...getExpirationMeta({expires})
+  };
+  try {
+    doc = await edvClient.update({
+      doc: doc ? {...doc, content, meta} : {
+        id: await edvClient.generateId(),
+        content,
+        meta
+      }
+    });
+  } catch(e) {
+    if(e.name === 'DuplicateError' || e.name === 'InvalidStateError') {
+      _throwPendingError();
+    }
+    throw e;
+  }
+
+  // the operation may also return the `credentialId` of any stored VC that
+  // its response includes so the response can be erased if it is deleted
+  let response;
+  let credentialId;
+  try {
+    ({credentialId, ...response} = await operation());
+  } catch(e) {
+    // remove record so the request can be retried
+    await edvClient.delete({doc}).catch(
+      error => logger.error(
+        'Could not remove idempotency record.', {error}));
+    throw e;
+  }
+
+  // store response for any retried request; the response is returned even
+  // if it cannot be stored
+  try {
+    const completed = {...content, status: 'completed', response};
+    delete completed.lease;
+    await edvClient.update({
+      doc: {
+        ...doc,
+        content: completed,
+        meta: credentialId === undefined ?
+          meta : {...meta, issuedCredentialId: credentialId}
+      }
+    });
+  } catch(error) {
+    logger.error('Could not store idempotent response.', {error});
+  }
+
+  return {...response, replayed: false};
+}
+
+// erases the stored response in `doc` if it is an idempotency record,
+// returning whether it was
+export async function eraseResponse({edvClient, doc} = {}) {
+  assert.object(edvClient, 'edvClient');
+  assert.object(doc, 'doc');
+  if(doc.meta.type !== RECORD_TYPE) {
+    return false;
+  }
+  const content = {...doc.content, status: 'erased'};
+  delete content.response;
+  // the record no longer holds a copy of the VC
+  const meta = {...doc.meta};
+  delete meta.issuedCredentialId;
+  await edvClient.update({doc: {...doc, content, meta}});
+  return true;
+}
+
+function _hash({request}) {
+  return createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+function _throwPendingError() {
+  throw new BedrockError(
+    'A request with the same "Idempotency-Key" is still being processed.', {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true
+      }
+    });
+}
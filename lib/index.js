@@ -1,43 +1,56 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as issuer from './issuer.js';
 import {createService, schemas} from '@bedrock/service-core';
 import {
   DEFAULT_BLOCK_COUNT, DEFAULT_BLOCK_SIZE, DEFAULT_TERSE_LIST_COUNT,
-  MAX_BLOCK_COUNT, MAX_BLOCK_SIZE,
+  MAX_ASSERTION_METHOD_OPTIONS, MAX_BLOCK_COUNT, MAX_BLOCK_SIZE,
   MAX_CRYPTOSUITE_OPTIONS, MAX_LIST_SIZE, MAX_STATUS_LIST_OPTIONS, serviceType
 } from './constants.js';
+import {
+  getSuiteNames, getSuiteParams, registerCryptosuite, supportsProofChains,
+  supportsSelectiveDisclosure, supportsVerification, withPreviousProofs
+} from './suites.js';
 import {initializeServiceAgent, refreshZcaps} from '@bedrock/service-agent';
 import {
-  issueOptions, statusListOptions
+  issueOptions, issuePolicy, statusListOptions
 } from '../schemas/bedrock-vc-issuer.js';
 import {
   addRoutes as addContextStoreRoutes
 } from '@bedrock/service-context-store';
 import {addRoutes} from './http.js';
 import {getEnvelopeParams} from './envelopes.js';
-import {getSuiteParams} from './suites.js';
 import {randomUUID as uuid} from 'node:crypto';
+import {validateKeyTypes} from './helpers.js';
+import {validateMandatoryPointers} from './templates.js';
 
 // load config defaults
 import './config.js';
 
-export {issuer};
+export {issuer, registerCryptosuite, withPreviousProofs};
 
 bedrock.events.on('bedrock.init', async () => {
   // add customizations to config validators...
   const createConfigBody = structuredClone(schemas.createConfigBody);
   const updateConfigBody = structuredClone(schemas.updateConfigBody);
   const schemasToUpdate = [createConfigBody, updateConfigBody];
+  // only allow registered suites
+  const issueOptionsSchema = structuredClone(issueOptions);
+  const suiteNames = getSuiteNames();
+  issueOptionsSchema.properties.cryptosuites.items.properties.name.enum =
+    suiteNames;
+  issueOptionsSchema.properties.suiteName.enum = suiteNames;
   for(const schema of schemasToUpdate) {
     // add ability to configure `statusListOptions`; must be present to use
     // credential status in VCs
     schema.properties.statusListOptions = statusListOptions;
     // require issue options
     schema.required.push('issueOptions');
-    schema.properties.issueOptions = issueOptions;
+    schema.properties.issueOptions = issueOptionsSchema;
+    // add ability to restrict what may be issued
+    schema.properties.issuePolicy = issuePolicy;
     // require `zcaps`
     schema.required.push('zcaps');
     schema.properties.zcaps = structuredClone(schemas.zcaps);
@@ -46,9 +59,11 @@ bedrock.events.on('bedrock.init', async () => {
     // purposes (as it has used other reference IDs in the past)
     schema.properties.zcaps.required = ['edv', 'hmac', 'keyAgreementKey'];
     // max of 3 required zcaps + refresh zcap +
-    // max cryptosuites opts + max status lists opts
+    // max cryptosuites opts * (1 + max assertion method opts) +
+    // 2 zcaps per max status lists opts
     schema.properties.zcaps.maxProperties =
-      3 + 1 + MAX_CRYPTOSUITE_OPTIONS + MAX_STATUS_LIST_OPTIONS;
+      3 + 1 + MAX_CRYPTOSUITE_OPTIONS * (1 + MAX_ASSERTION_METHOD_OPTIONS) +
+      2 * MAX_STATUS_LIST_OPTIONS;
     schema.properties.zcaps.additionalProperties = schemas.delegatedZcap;
   }
 
@@ -105,14 +120,15 @@ async function validateConfigFn({config, op, existingConfig} = {}) {
     }
 
     // prevent changes in status list configs to avoid any potential index
-    // allocation corruption
+    // allocation corruption; the zcap used to update credential statuses
+    // does not affect index allocation and may be changed
     // note: this could perhaps be relaxed in the future to some extent but
     // analysis is required
     if(op === 'update' && existingConfig.statusListOptions !== undefined &&
       config.statusListOptions !== undefined) {
       const {statusListOptions: existingStatusListOptions} = existingConfig;
-      if(JSON.stringify(statusListOptions) !==
-        JSON.stringify(existingStatusListOptions)) {
+      if(JSON.stringify(_omitUpdateZcap(statusListOptions)) !==
+        JSON.stringify(_omitUpdateZcap(existingStatusListOptions))) {
         throw new Error('Status list options cannot be changed.');
       }
     }
@@ -125,6 +141,44 @@ async function validateConfigFn({config, op, existingConfig} = {}) {
         // ensure every suite's params can be retrieved
         for(const cryptosuite of issueOptions.cryptosuites) {
           getSuiteParams({config, cryptosuite});
+          const {
+            expiresIn, maxExpiresIn, mandatoryPointersByType
+          } = cryptosuite.options ?? {};
+          if(expiresIn > maxExpiresIn) {
+            throw new Error(
+              'Default proof lifetime must not be longer than the maximum.');
+          }
+          // ensure mandatory pointers by type are only given for selective
+          // disclosure suites and select a value in every template of their
+          // type; an instance has no templates until it has been created
+          if(mandatoryPointersByType) {
+            if(!supportsSelectiveDisclosure({suiteName: cryptosuite.name})) {
+              throw new Error(
+                `Suite "${cryptosuite.name}" does not support mandatory ` +
+                'pointers by type.');
+            }
+            if(op === 'update') {
+              await validateMandatoryPointers({
+                config: existingConfig, mandatoryPointersByType
+              });
+            }
+          }
+          // ensure every key that can become active has a zcap and a valid
+          // activation window
+          const {assertionMethods = []} = cryptosuite.zcapReferenceIds;
+          for(const {referenceId, notBefore, notAfter} of assertionMethods) {
+            if(!config.zcaps[referenceId]) {
+              throw new Error(
+                `No capability with reference ID "${referenceId}" for ` +
+                `suite "${cryptosuite.name}".`);
+            }
+            if(notBefore !== undefined && notAfter !== undefined &&
+              !(new Date(notBefore) < new Date(notAfter))) {
+              throw new Error(
+                `Assertion method "${referenceId}" activation window must ` +
+                'end after it starts.');
+            }
+          }
         }
       }
       // ensure envelope's params can be retrieved
@@ -133,6 +187,43 @@ async function validateConfigFn({config, op, existingConfig} = {}) {
       }
     }
 
+    // ensure every suite in a proof chain supports `previousProof`
+    if(issueOptions.proofChain) {
+      for(const {name} of issueOptions.cryptosuites ?? []) {
+        if(!supportsProofChains({suiteName: name})) {
+          throw new Error(
+            `Suite "${name}" cannot be used in a proof chain.`);
+        }
+      }
+    }
+
+    // ensure every suite's proofs can be verified after issuance
+    if(issueOptions.verifyAfterIssue) {
+      const suiteNames = issueOptions.suiteName ? [issueOptions.suiteName] :
+        (issueOptions.cryptosuites ?? []).map(({name}) => name);
+      for(const suiteName of suiteNames) {
+        if(!supportsVerification({suiteName})) {
+          throw new Error(
+            `Suite "${suiteName}" proofs cannot be verified after issuance.`);
+        }
+      }
+    }
+
+    // ensure any default validity period is not longer than the maximum
+    const {defaultPeriod, maxPeriod} = issueOptions.validity ?? {};
+    if(defaultPeriod > maxPeriod) {
+      throw new Error(
+        'Default validity period must not be longer than the maximum.');
+    }
+
+    // ensure any issue policy only allows absolute context URLs
+    for(const url of config.issuePolicy?.allowedContexts ?? []) {
+      if(!URL.canParse(url)) {
+        throw new Error(
+          `Issue policy context "${url}" must be an absolute URL.`);
+      }
+    }
+
     // validate `statusListOptions`...
     for(const statusConfig of statusListOptions) {
       const {type} = statusConfig;
@@ -187,6 +278,16 @@ async function validateConfigFn({config, op, existingConfig} = {}) {
       }
       statusConfig.options = options;
 
+      // ensure any zcap for updating credential statuses is available
+      const {
+        updateCredentialStatus: updateReferenceId
+      } = statusConfig.zcapReferenceIds;
+      if(updateReferenceId !== undefined && !config.zcaps[updateReferenceId]) {
+        throw new Error(
+          `Capability "${updateReferenceId}" for updating credential ` +
+          'statuses not found.');
+      }
+
       // default `baseUrl` to the invocation target of the zcap for
       // creating status lists
       if(statusConfig.baseUrl === undefined) {
@@ -197,8 +298,19 @@ async function validateConfigFn({config, op, existingConfig} = {}) {
         statusConfig.baseUrl = zcap.invocationTarget;
       }
     }
+
+    // ensure every suite supports the type of each key it can sign with
+    await validateKeyTypes({config});
   } catch(error) {
     return {valid: false, error};
   }
   return {valid: true};
 }
+
+function _omitUpdateZcap(statusListOptions) {
+  return statusListOptions.map(statusConfig => {
+    statusConfig = structuredClone(statusConfig);
+    delete statusConfig.zcapReferenceIds.updateCredentialStatus;
+    return statusConfig;
+  });
+}
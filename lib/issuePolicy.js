@@ -0,0 +1,149 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import {named as vcNamedContexts} from '@bedrock/credentials-context';
+
+const {util: {BedrockError}} = bedrock;
+
+// contexts and types that every issue policy allows
+const BASE_CONTEXTS = new Set([
+  vcNamedContexts.get('v1').id,
+  vcNamedContexts.get('v2').id
+]);
+const BASE_TYPES = new Set(['VerifiableCredential']);
+
+// ensures a credential is allowed by the issuer instance's `issuePolicy`
+export function checkIssuePolicy({config, credential, now = new Date()} = {}) {
+  assert.object(config, 'config');
+  assert.object(credential, 'credential');
+
+  const {issuePolicy} = config;
+  if(!issuePolicy) {
+    return;
+  }
+  const {
+    allowedTypes, allowedContexts, allowedSubjectProperties, validity
+  } = issuePolicy;
+
+  if(allowedContexts) {
+    for(const context of [].concat(credential['@context'])) {
+      if(typeof context !== 'string') {
+        _throwPolicyError({
+          message: 'Embedded contexts are not allowed by the issue policy.',
+          policy: 'allowedContexts'
+        });
+      }
+      if(!(BASE_CONTEXTS.has(context) || allowedContexts.includes(context))) {
+        _throwPolicyError({
+          message: `Context "${context}" is not allowed by the issue policy.`,
+          policy: 'allowedContexts', value: context
+        });
+      }
+    }
+  }
+
+  if(allowedTypes) {
+    for(const type of [].concat(credential.type)) {
+      if(!(BASE_TYPES.has(type) || allowedTypes.includes(type))) {
+        _throwPolicyError({
+          message: `Credential type "${type}" is not allowed by the issue ` +
+            'policy.',
+          policy: 'allowedTypes', value: type
+        });
+      }
+    }
+  }
+
+  if(allowedSubjectProperties) {
+    for(const subject of [].concat(credential.credentialSubject ?? [])) {
+      if(!(subject && typeof subject === 'object')) {
+        continue;
+      }
+      for(const property of Object.keys(subject)) {
+        if(!(property === 'id' ||
+          allowedSubjectProperties.includes(property))) {
+          _throwPolicyError({
+            message: `Credential subject property "${property}" is not ` +
+              'allowed by the issue policy.',
+            policy: 'allowedSubjectProperties', value: property
+          });
+        }
+      }
+    }
+  }
+
+  if(validity) {
+    _checkValidity({credential, validity, now});
+  }
+}
+
+function _checkValidity({credential, validity, now}) {
+  const {maxPeriod, maxBackdate, maxPostdate} = validity;
+  // VC 1.1 properties are treated the same as their VC 2.0 counterparts
+  const validFrom = _getDate({
+    credential, properties: ['validFrom', 'issuanceDate']
+  }) ?? now;
+  const validUntil = _getDate({
+    credential, properties: ['validUntil', 'expirationDate']
+  });
+
+  const seconds = (validFrom - now) / 1000;
+  if(maxBackdate !== undefined && -seconds > maxBackdate) {
+    _throwPolicyError({
+      message: 'The credential\'s validity cannot start more than ' +
+        `${maxBackdate} seconds in the past.`,
+      policy: 'validity.maxBackdate'
+    });
+  }
+  if(maxPostdate !== undefined && seconds > maxPostdate) {
+    _throwPolicyError({
+      message: 'The credential\'s validity cannot start more than ' +
+        `${maxPostdate} seconds in the future.`,
+      policy: 'validity.maxPostdate'
+    });
+  }
+  if(maxPeriod !== undefined &&
+    (validUntil === undefined || (validUntil - validFrom) / 1000 > maxPeriod)) {
+    _throwPolicyError({
+      message: `The credential must not be valid for more than ${maxPeriod} ` +
+        'seconds.',
+      policy: 'validity.maxPeriod'
+    });
+  }
+}
+
+function _getDate({credential, properties}) {
+  for(const property of properties) {
+    const value = credential[property];
+    if(value === undefined) {
+      continue;
+    }
+    const date = new Date(value);
+    if(isNaN(date)) {
+      throw new BedrockError(`"${property}" must be a valid date.`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          problemType: 'invalid-date',
+          public: true
+        }
+      });
+    }
+    return date;
+  }
+}
+
+function _throwPolicyError({message, policy, value}) {
+  const details = {
+    policy,
+    httpStatusCode: 403,
+    problemType: 'policy-violation',
+    public: true
+  };
+  if(value !== undefined) {
+    details.value = value;
+  }
+  throw new BedrockError(message, {name: 'NotAllowedError', details});
+}
@@ -1,30 +1,43 @@
 /*!
- * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as vc from '@digitalbazaar/vc';
+import {applyValidity, getISODateTime} from './validity.js';
 import {
-  getDocumentStore, getIssuerAndSecuringMethods
+  createSchemaLoader, validateCredentialSchemas
+} from './credentialSchemas.js';
+import {
+  createSecuringMethods, getDocumentStore, getIssuerAndSecuringMethods,
+  getIssuerAndSigners
 } from './helpers.js';
 import assert from 'assert-plus';
+import {checkIssuePolicy} from './issuePolicy.js';
 import {createDocumentLoader} from './documentLoader.js';
 import {CredentialStatusIssuer} from './CredentialStatusIssuer.js';
 import {CredentialStatusWriter} from './CredentialStatusWriter.js';
+import {getListingMeta} from './credentials.js';
 import jsonld from 'jsonld';
 import {randomUUID as uuid} from 'node:crypto';
 import {named as vcNamedContexts} from '@bedrock/credentials-context';
+import {verifyIssued} from './verification.js';
 
 const {util: {BedrockError}} = bedrock;
 
 const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
+// size of the placeholder signatures produced when validating credentials
+const DRY_RUN_SIGNATURE_SIZE = 64;
 
 // exported for testing purposes
 export const _CredentialStatusWriter = CredentialStatusWriter;
 
-export async function issue({credential, config, options = {}} = {}) {
+export async function issue({
+  credential, config, options = {}, mediaType
+} = {}) {
   assert.object(credential, 'credential');
   assert.object(config, 'config');
   assert.object(options, 'options');
+  assert.optionalString(mediaType, 'mediaType');
 
   // see if config indicates a credential status should be set
   const {statusListOptions = []} = config;
@@ -35,59 +48,166 @@ export async function issue({credential, config, options = {}} = {}) {
     // `options.credentialId` is given; otherwise, it is not needed
     (statusListOptions.length > 0 || options.credentialId) ?
       getDocumentStore({config}) : {},
-    getIssuerAndSecuringMethods({config, options})
+    getIssuerAndSecuringMethods({config, options, mediaType, credential})
   ]);
 
-  const {issuer, suites, enveloper} = issuerInfo;
+  const schemaLoader = createSchemaLoader({config, documentLoader});
+  const credentialStatusIssuer = _createCredentialStatusIssuer({
+    config, documentLoader, documentStore
+  });
+  try {
+    return await _issue({
+      credential, config, options, documentLoader, schemaLoader,
+      documentStore, credentialStatusIssuer, ...issuerInfo
+    });
+  } finally {
+    // finish issuing status (can safely fail and need not be awaited)
+    credentialStatusIssuer?.finish();
+  }
+}
 
-  if(typeof credential.issuer === 'object') {
-    credential.issuer = {
-      ...credential.issuer,
-      id: issuer
-    };
-  } else {
-    credential.issuer = issuer;
+export async function issueBatch({items, config, mediaType} = {}) {
+  assert.array(items, 'items');
+  assert.object(config, 'config');
+  assert.optionalString(mediaType, 'mediaType');
+
+  // see if config indicates a credential status should be set
+  const {statusListOptions = []} = config;
+
+  // fetch everything that does not vary per credential just once
+  const [documentLoader, documentStore, {issuer, params}] = await Promise.all([
+    createDocumentLoader({config}),
+    // only fetch `documentStore` if a status list is configured or any
+    // `options.credentialId` is given; otherwise, it is not needed
+    (statusListOptions.length > 0 ||
+      items.some(({options}) => options?.credentialId)) ?
+      getDocumentStore({config}) : {},
+    getIssuerAndSigners({config})
+  ]);
+
+  const schemaLoader = createSchemaLoader({config, documentLoader});
+
+  // a single status issuer assigns consecutive statuses from the same list
+  // shards to every credential in the batch
+  const credentialStatusIssuer = _createCredentialStatusIssuer({
+    config, documentLoader, documentStore
+  });
+
+  // securing methods only vary by the request options and the credential
+  // types (which may select different mandatory pointers), so reuse them for
+  // every credential with the same options and types
+  const securingMethods = new Map();
+
+  // issue each credential in order; a failure to issue one credential does
+  // not prevent the others from being issued
+  const results = [];
+  for(const {credential, options = {}} of items) {
+    try {
+      const key = JSON.stringify([options, credential?.type]);
+      let methods = securingMethods.get(key);
+      if(!methods) {
+        methods = createSecuringMethods({
+          config, options, params, mediaType, credential
+        });
+        securingMethods.set(key, methods);
+      }
+      const {suites, enveloper, verifySuites} = await methods;
+      results.push(await _issue({
+        credential, config, options, documentLoader, schemaLoader,
+        documentStore, credentialStatusIssuer, issuer, suites, enveloper,
+        verifySuites
+      }));
+    } catch(error) {
+      results.push({error});
+    }
   }
 
-  // initialize `CredentialStatusIssuer` for handling any credential statuses
-  let credentialStatusIssuer;
+  // write the statuses assigned to the batch's credentials just once
+  await credentialStatusIssuer?.finish();
+  return results;
+}
+
+// runs every issuance check without signing anything or issuing any
+// credential statuses; the credential is returned as it would be secured;
+// the issuer's KMS key handles are still needed to secure it, so they are
+// fetched from the KMS like when issuing if they are not already cached
+export async function validate({
+  credential, config, options = {}, mediaType
+} = {}) {
+  assert.object(credential, 'credential');
+  assert.object(config, 'config');
+  assert.object(options, 'options');
+  assert.optionalString(mediaType, 'mediaType');
+
+  const [documentLoader, {issuer, params}] = await Promise.all([
+    createDocumentLoader({config}),
+    getIssuerAndSigners({config})
+  ]);
+
+  // replace each key with a signer that does not invoke the KMS
+  const {suites, enveloper} = await createSecuringMethods({
+    config, options, mediaType, credential,
+    params: params.map(p => ({
+      ...p, assertionMethodKey: _createDryRunSigner({key: p.assertionMethodKey})
+    }))
+  });
+  applyValidity({config, credential});
+  checkIssuePolicy({config, credential});
+  _setIssuer({
+    credential, issuer, profile: config.issueOptions.issuerProfile
+  });
+  _checkDataModel({credential, suites});
+  const schemaLoader = createSchemaLoader({config, documentLoader});
+  await validateCredentialSchemas({credential, schemaLoader});
+  await _secure({
+    credential, documentLoader, suites, enveloper,
+    proofChain: config.issueOptions.proofChain
+  });
+  return {credential};
+}
+
+async function _issue({
+  credential, config, options, documentLoader, schemaLoader, documentStore,
+  credentialStatusIssuer, issuer, suites, enveloper, verifySuites
+}) {
+  applyValidity({config, credential});
+  checkIssuePolicy({config, credential});
+  _setIssuer({
+    credential, issuer, profile: config.issueOptions.issuerProfile
+  });
+
+  // ensure VC conforms to the VC data model and any credential schemas
+  // before any statuses are assigned to it
+  _checkDataModel({credential, suites});
+  await validateCredentialSchemas({credential, schemaLoader});
+
+  // prepare `credentialStatusIssuer` to issue any statuses for `credential`
   const {edvClient} = documentStore;
-  if(statusListOptions.length > 0) {
-    credentialStatusIssuer = new CredentialStatusIssuer({
-      config, documentLoader, edvClient
-    });
-    await credentialStatusIssuer.initialize({credential});
-  }
+  await credentialStatusIssuer?.initialize({credential});
 
   let issued = false;
   let verifiableCredential;
   let envelope;
   let envelopedVerifiableCredential;
+  // only set if the VC is stored
+  let credentialId;
   while(!issued) {
     // issue any credential status(es)
     const credentialStatus = await credentialStatusIssuer?.issue();
 
-    // secure VC with any cryptosuites
-    if(suites) {
-      verifiableCredential = await _secureWithSuites({
-        credential, documentLoader, suites
-      });
-    } else {
-      verifiableCredential = credential;
-    }
+    // secure VC with any cryptosuites and envelope
+    ({
+      verifiableCredential, envelope, envelopedVerifiableCredential
+    } = await _secure({
+      credential, documentLoader, suites, enveloper,
+      proofChain: config.issueOptions.proofChain
+    }));
 
-    // secure VC with any envelope
-    if(enveloper) {
-      // include issuance date in VC 1.x if not already present
-      const contexts = Array.isArray(verifiableCredential['@context']) ?
-        verifiableCredential['@context'] : [verifiableCredential['@context']];
-      if(contexts.includes(vcNamedContexts.get('v1').id) &&
-        verifiableCredential.issuanceDate === undefined) {
-        verifiableCredential.issuanceDate = _getISODateTime();
-      }
-      ({envelope, envelopedVerifiableCredential} = await _secureWithEnvelope({
-        verifiableCredential, enveloper
-      }));
+    // ensure the VC verifies before it is stored or returned
+    if(config.issueOptions.verifyAfterIssue) {
+      await verifyIssued({
+        verifiableCredential, verifySuites, envelope, documentLoader
+      });
     }
 
     // if no `options.credentialId` and credential status written, do not store
@@ -100,7 +220,7 @@ export async function issue({credential, config, options = {}} = {}) {
 
     // get `credentialId` for referring to this credential in the following
     // order of preference
-    const credentialId = options.credentialId ?? credential.id ??
+    credentialId = options.credentialId ?? credential.id ??
       `urn:uuid:${uuid()}`;
 
     try {
@@ -112,7 +232,9 @@ export async function issue({credential, config, options = {}} = {}) {
         // include status meta for uniqueness checks and other info
         credentialStatus,
         // include credential reference ID
-        credentialId
+        credentialId,
+        // include information for listing stored VCs
+        ...getListingMeta({credential, credentialStatus})
       };
       // add any envelope
       if(envelope) {
@@ -125,6 +247,8 @@ export async function issue({credential, config, options = {}} = {}) {
           meta
         }
       });
+      // the stored VC's statuses can no longer be assigned to another VC
+      credentialStatusIssuer?.commit();
       issued = true;
     } catch(e) {
       if(e.name === 'DuplicateError') {
@@ -169,13 +293,58 @@ export async function issue({credential, config, options = {}} = {}) {
     }
   }
 
-  // finish issuing status (non-async function and can safely fail)
-  credentialStatusIssuer?.finish();
+  return {
+    verifiableCredential, envelope, envelopedVerifiableCredential, credentialId
+  };
+}
+
+// creates a `CredentialStatusIssuer` for handling any credential statuses
+function _createCredentialStatusIssuer({
+  config, documentLoader, documentStore
+}) {
+  const {statusListOptions = []} = config;
+  if(statusListOptions.length === 0) {
+    return;
+  }
+  const {edvClient} = documentStore;
+  return new CredentialStatusIssuer({config, documentLoader, edvClient});
+}
+
+async function _secure({
+  credential, documentLoader, suites, enveloper, proofChain = false
+}) {
+  // secure VC with any cryptosuites
+  let verifiableCredential;
+  if(suites) {
+    verifiableCredential = await _secureWithSuites({
+      credential, documentLoader, suites, proofChain
+    });
+  } else {
+    verifiableCredential = credential;
+  }
+
+  // secure VC with any envelope
+  let envelope;
+  let envelopedVerifiableCredential;
+  if(enveloper) {
+    // include issuance date in VC 1.x if not already present
+    const contexts = Array.isArray(verifiableCredential['@context']) ?
+      verifiableCredential['@context'] : [verifiableCredential['@context']];
+    if(contexts.includes(vcNamedContexts.get('v1').id) &&
+      verifiableCredential.issuanceDate === undefined) {
+      verifiableCredential.issuanceDate = getISODateTime();
+    }
+    ({envelope, envelopedVerifiableCredential} = await _secureWithEnvelope({
+      verifiableCredential, enveloper
+    }));
+  }
 
   return {verifiableCredential, envelope, envelopedVerifiableCredential};
 }
 
-async function _secureWithSuites({credential, documentLoader, suites}) {
+async function _secureWithSuites({
+  credential, documentLoader, suites, proofChain
+}) {
   try {
     // vc-js.issue may be fixed to not mutate credential
     // see: https://github.com/digitalbazaar/vc-js/issues/76
@@ -185,7 +354,16 @@ async function _secureWithSuites({credential, documentLoader, suites}) {
       await _validateJsonLd({document: credential, documentLoader});
     }
     // issue using each suite
+    let previousProof;
     for(const suite of suites) {
+      // suites may be reused for other credentials, so give each new proof
+      // that has an ID a new one
+      if(suite.proof?.id !== undefined) {
+        suite.proof = {...suite.proof, id: `urn:uuid:${uuid()}`};
+      }
+      if(proofChain) {
+        previousProof = _chainProof({suite, previousProof});
+      }
       // update credential with latest proof(s)
       credential = await vc.issue({credential, documentLoader, suite});
     }
@@ -199,6 +377,7 @@ async function _secureWithSuites({credential, documentLoader, suites}) {
           name: 'DataError',
           details: {
             httpStatusCode: 400,
+            problemType: 'invalid-mandatory-pointer',
             public: true
           },
           cause: e
@@ -208,6 +387,18 @@ async function _secureWithSuites({credential, documentLoader, suites}) {
   }
 }
 
+// sets up `suite` to create a proof that references `previousProof` (if any)
+// and returns the ID of the proof it will create; the suite's cryptosuite
+// secures the previous proof along with the credential
+function _chainProof({suite, previousProof}) {
+  const id = suite.proof?.id ?? `urn:uuid:${uuid()}`;
+  suite.proof = {...suite.proof, id};
+  if(previousProof) {
+    suite.proof.previousProof = previousProof;
+  }
+  return id;
+}
+
 async function _secureWithEnvelope({verifiableCredential, enveloper}) {
   // envelope: {data, mediaType}
   const envelope = await enveloper.envelope({verifiableCredential});
@@ -228,9 +419,65 @@ async function _secureWithEnvelope({verifiableCredential, enveloper}) {
   return {envelope, envelopedVerifiableCredential};
 }
 
-function _getISODateTime(date = new Date()) {
-  // remove milliseconds precision
-  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+function _createDryRunSigner({key}) {
+  // signs nothing; only used to run every other securing step; any public
+  // key that a suite sets is kept on the (cached) key so that it is only
+  // fetched from the KMS once
+  return {
+    id: key.id,
+    algorithm: key.algorithm,
+    get publicKey() {
+      return key.publicKey;
+    },
+    set publicKey(publicKey) {
+      key.publicKey = publicKey;
+    },
+    getKeyDescription: () => key.getKeyDescription(),
+    async sign() {
+      return new Uint8Array(DRY_RUN_SIGNATURE_SIZE);
+    }
+  };
+}
+
+// runs the VC data model checks that `vc.issue()` runs when securing
+// `credential` with `suites`, throwing a classified error if any fail
+function _checkDataModel({credential, suites}) {
+  if(!(suites?.length > 0)) {
+    return;
+  }
+  // include issuance date in VC 1.x if not already present, as `vc.issue()`
+  // would
+  const contexts = [].concat(credential['@context']);
+  if(contexts.includes(vcNamedContexts.get('v1').id) &&
+    credential.issuanceDate === undefined) {
+    credential.issuanceDate = getISODateTime();
+  }
+  try {
+    vc._checkCredential({credential, mode: 'issue'});
+  } catch(cause) {
+    throw new BedrockError(cause.message, {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        problemType: 'invalid-credential',
+        public: true
+      },
+      cause
+    });
+  }
+}
+
+function _setIssuer({credential, issuer, profile}) {
+  if(typeof credential.issuer === 'object' || profile) {
+    // any configured profile metadata replaces what the caller sent
+    credential.issuer = {
+      ...(typeof credential.issuer === 'object' ? credential.issuer : {}),
+      ...structuredClone(profile),
+      id: issuer
+    };
+  } else {
+    credential.issuer = issuer;
+  }
 }
 
 async function _validateJsonLd({document, documentLoader}) {
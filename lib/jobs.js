@@ -0,0 +1,169 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import {
+  deleteExpired, getExpirationMeta, isExpired, sweepExpired
+} from './expiration.js';
+import assert from 'assert-plus';
+import {getDocumentStore} from './helpers.js';
+import {issue} from './issuer.js';
+import {logger} from './logger.js';
+import {toPublicError} from './errors.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+const JOB_TYPE = 'IssuanceJob';
+
+/* Note: Issuance jobs are stored in the same EDV as issued VCs, along with
+the request to process, until they complete. The process that creates a job
+processes it in the background under a lease that expires after
+`jobs.leaseTtl`; if that process exits before the job completes, the next
+process that reads the `pending` job after its lease has expired claims a new
+lease and processes the job again. A job's request can therefore be processed
+more than once; clients that need to retry issuance safely should pass
+`options.credentialId` so that a reprocessed request cannot produce a second
+VC (it will be rejected as a duplicate instead). Jobs are deleted once
+`jobs.ttl` has passed. */
+
+// creates a job to issue a VC in the background, returning the pending job
+export async function createJob({
+  config, credential, options = {}, mediaType
+} = {}) {
+  assert.object(config, 'config');
+  assert.object(credential, 'credential');
+  assert.object(options, 'options');
+  assert.optionalString(mediaType, 'mediaType');
+
+  const {edvClient} = await getDocumentStore({config});
+  sweepExpired({config, edvClient});
+
+  const now = new Date();
+  const {ttl} = bedrock.config['vc-issuer'].jobs;
+  const expires = new Date(now.getTime() + ttl);
+  const job = {
+    id: uuid(),
+    type: JOB_TYPE,
+    status: 'pending',
+    created: now.toISOString(),
+    updated: now.toISOString(),
+    expires: expires.toISOString()
+  };
+  if(options.credentialId !== undefined) {
+    job.credentialId = options.credentialId;
+  }
+  // link the job to the VC it will hold a copy of, if already known
+  const issuedCredentialId = options.credentialId ?? credential.id;
+  const doc = await edvClient.update({
+    doc: {
+      id: await edvClient.generateId(),
+      content: {
+        ...job,
+        lease: _createLease({now}),
+        request: {credential, options, mediaType}
+      },
+      meta: {
+        type: JOB_TYPE,
+        jobId: job.id,
+        ...(issuedCredentialId === undefined ? {} : {issuedCredentialId}),
+        ...getExpirationMeta({expires})
+      }
+    }
+  });
+
+  // process job in the background; errors are recorded in the job
+  _startJob({config, edvClient, doc});
+
+  return job;
+}
+
+export async function getJob({config, jobId} = {}) {
+  assert.object(config, 'config');
+  assert.string(jobId, 'jobId');
+
+  const {edvClient} = await getDocumentStore({config});
+  const {documents: [doc]} = await edvClient.find({
+    equals: {'meta.jobId': jobId}
+  });
+  if(!doc || doc.meta.type !== JOB_TYPE || isExpired({doc})) {
+    if(doc?.meta.type === JOB_TYPE) {
+      await deleteExpired({edvClient, doc});
+    }
+    throw new BedrockError('Issuance job not found.', {
+      name: 'NotFoundError',
+      details: {
+        jobId,
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+
+  // resume processing any job whose lease has expired
+  if(doc.content.status === 'pending' &&
+    new Date(doc.content.lease.expires) <= new Date()) {
+    await _resumeJob({config, edvClient, doc});
+  }
+
+  // only return public job information
+  const job = {...doc.content};
+  delete job.lease;
+  delete job.request;
+  return job;
+}
+
+// claims a new lease on the job in `doc` and processes it in the background;
+// if another process claims the lease first, it will process the job instead
+async function _resumeJob({config, edvClient, doc}) {
+  try {
+    doc = await edvClient.update({
+      doc: {...doc, content: {...doc.content, lease: _createLease()}}
+    });
+  } catch(e) {
+    if(e.name !== 'InvalidStateError') {
+      throw e;
+    }
+    return;
+  }
+  logger.info(`Resuming issuance job "${doc.content.id}".`);
+  _startJob({config, edvClient, doc});
+}
+
+function _startJob({config, edvClient, doc}) {
+  _processJob({config, edvClient, doc}).catch(
+    error => logger.error(
+      `Could not update issuance job "${doc.content.id}".`, {error}));
+}
+
+async function _processJob({config, edvClient, doc}) {
+  // the request is only kept until the job completes
+  const content = {...doc.content};
+  const {credential, options, mediaType} = content.request;
+  delete content.lease;
+  delete content.request;
+  const meta = {...doc.meta};
+  try {
+    const {
+      verifiableCredential, envelopedVerifiableCredential, credentialId
+    } = await issue({credential, config, options, mediaType});
+    content.status = 'completed';
+    content.verifiableCredential =
+      envelopedVerifiableCredential ?? verifiableCredential;
+    if(credentialId !== undefined) {
+      meta.issuedCredentialId = credentialId;
+    }
+  } catch(error) {
+    logger.error(error.message, {error});
+    content.status = 'failed';
+    content.error = toPublicError({cause: error});
+  }
+  content.updated = new Date().toISOString();
+  // the update fails if another process has claimed the job's lease
+  await edvClient.update({doc: {...doc, content, meta}});
+}
+
+function _createLease({now = new Date()} = {}) {
+  const {leaseTtl} = bedrock.config['vc-issuer'].jobs;
+  return {expires: new Date(now.getTime() + leaseTtl).toISOString()};
+}
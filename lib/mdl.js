@@ -3,17 +3,24 @@
  */
 import * as bedrock from '@bedrock/core';
 import {
-  CoseKey, DeviceKey, Issuer as MDocIssuer, SignatureAlgorithm
+  CoseKey, DeviceKey, IssuerSigned, Issuer as MDocIssuer, SignatureAlgorithm
 } from '@owf/mdoc';
+import {verify, X509Certificate} from 'node:crypto';
 import {compile} from '@bedrock/validation';
 import {vDL} from '../schemas/bedrock-vc-issuer.js';
-import {X509Certificate} from 'node:crypto';
 
 const {util: {BedrockError}} = bedrock;
 
 const MDL_NAMESPACE = 'org.iso.18013.5.1';
 const MDOC_TYPE_MDL = `${MDL_NAMESPACE}.mDL`;
 
+// COSE signature algorithm => digest algorithm
+const DIGEST_ALGORITHMS = new Map([
+  ['ES256', 'sha256'],
+  ['ES384', 'sha384'],
+  ['ES512', 'sha512']
+]);
+
 const VALIDATORS = {
   vDL: null
 };
@@ -96,6 +103,25 @@ export async function envelopeCredential({
   return issuerSigned.encode();
 }
 
+// verifies the issuer signature on an mDL-enveloped VC using the public key
+// of the issuer certificate
+export async function verifyEnvelope({data} = {}) {
+  const {issuerAuth} = IssuerSigned.decode(data);
+  const [certificate] = issuerAuth.x5chain ?? [];
+  if(!certificate) {
+    throw new Error('mDL does not include an issuer certificate.');
+  }
+  const algorithm = issuerAuth.signatureAlgorithmName;
+  const digestAlgorithm = DIGEST_ALGORITHMS.get(algorithm);
+  if(!digestAlgorithm) {
+    throw new Error(`Unsupported mDL signature algorithm "${algorithm}".`);
+  }
+  const {publicKey} = new X509Certificate(certificate);
+  return verify(
+    digestAlgorithm, issuerAuth.toBeSigned,
+    {key: publicKey, dsaEncoding: 'ieee-p1363'}, issuerAuth.signature);
+}
+
 // constructs an "mdoc context" based on the given `signer` and that implements
 // the other necessary `digest` and `random` functions
 function _createMdocContext({signer}) {
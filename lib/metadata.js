@@ -0,0 +1,54 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import {
+  MAX_BATCH_ISSUE_SIZE, MAX_CREDENTIAL_SIZE
+} from './constants.js';
+import assert from 'assert-plus';
+import {getEnvelopeMediaType} from './envelopes.js';
+import {getIssuerAndSigners} from './helpers.js';
+import {issueCredentialBody} from '../schemas/bedrock-vc-issuer.js';
+import {isSupportedSuite} from './suites.js';
+
+// gets what an issuer instance supports so clients need not hard-code it
+export async function getMetadata({config} = {}) {
+  assert.object(config, 'config');
+
+  const {issueOptions, statusListOptions = []} = config;
+  const {cryptosuites = [], envelope, suiteName} = issueOptions;
+
+  // legacy configs do not include `issuer`; it must be derived from the
+  // assertion method key
+  const issuer = issueOptions.issuer ??
+    (await getIssuerAndSigners({config})).issuer;
+
+  const suiteNames = suiteName ?
+    [suiteName] : cryptosuites.map(({name}) => name);
+
+  const metadata = {
+    issuer,
+    cryptosuites: suiteNames
+      .filter(suiteName => isSupportedSuite({suiteName}))
+      .map(name => ({name})),
+    envelopes: envelope ?
+      [{mediaType: getEnvelopeMediaType({envelope})}] : [],
+    statusLists: statusListOptions.map(({
+      type, statusPurpose, zcapReferenceIds
+    }) => ({
+      type,
+      statusPurpose: [].concat(statusPurpose),
+      updateCredentialStatus: !!zcapReferenceIds.updateCredentialStatus
+    })),
+    options: Object.keys(issueCredentialBody.properties.options.properties),
+    maxCredentialSize: MAX_CREDENTIAL_SIZE,
+    maxBatchSize: MAX_BATCH_ISSUE_SIZE
+  };
+  if(issueOptions.issuerProfile) {
+    metadata.issuerProfile = issueOptions.issuerProfile;
+  }
+  // let callers see what may be issued
+  if(config.issuePolicy) {
+    metadata.issuePolicy = config.issuePolicy;
+  }
+  return metadata;
+}
@@ -0,0 +1,524 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import {createHash, randomBytes} from 'node:crypto';
+import {
+  deleteExpired, getExpirationMeta, isExpired, sweepExpired
+} from './expiration.js';
+import assert from 'assert-plus';
+import {didIo} from '@bedrock/did-io';
+import {getDocumentStore} from './helpers.js';
+import {getEnvelopeMediaType} from './envelopes.js';
+import {issue} from './issuer.js';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
+const MDL_DOCTYPE = 'org.iso.18013.5.1.mDL';
+const OFFER_TYPE = 'CredentialOffer';
+const PRE_AUTHORIZED_CODE_GRANT_TYPE =
+  'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const PROOF_JWT_TYPE = 'openid4vci-proof+jwt';
+// max difference between a key proof's `iat` and the current time
+const MAX_PROOF_AGE = 1000 * 60 * 5;
+const TEXT_ENCODER = new TextEncoder();
+
+// DID methods that can identify the wallet key that a credential is bound to
+const BINDING_METHODS = ['did:jwk', 'did:key'];
+// key proof JWT `alg` => key library and the curve of keys it can be used with
+const PROOF_ALGS = new Map([
+  ['EdDSA', {keyLibrary: Ed25519Multikey, crv: 'Ed25519'}],
+  ['ES256', {keyLibrary: EcdsaMultikey, crv: 'P-256'}],
+  ['ES384', {keyLibrary: EcdsaMultikey, crv: 'P-384'}]
+]);
+
+/* Note: OID4VCI issuance uses the pre-authorized code flow. A party that is
+authorized to issue VCs creates a credential offer that holds the VC to
+issue; the wallet then exchanges the offer's pre-authorized code for an
+access token and uses that token with a key proof to request the VC, which is
+bound to the wallet's key and issued via `issue()`. Each offer can only be
+redeemed once and is stored in the same EDV as issued VCs until its
+pre-authorized code or, once exchanged, its access token expires. The
+credential configuration that an issuer instance supports is derived from
+its `issueOptions`. */
+
+export function getAuthorizationServerMetadata({config} = {}) {
+  assert.object(config, 'config');
+  const {routes} = bedrock.config['vc-issuer'];
+  return {
+    issuer: config.id,
+    token_endpoint: `${config.id}${routes.oid4vciToken}`,
+    grant_types_supported: [PRE_AUTHORIZED_CODE_GRANT_TYPE],
+    'pre-authorized_grant_anonymous_access_supported': true
+  };
+}
+
+export function getCredentialIssuerMetadata({config} = {}) {
+  assert.object(config, 'config');
+  const {routes} = bedrock.config['vc-issuer'];
+  return {
+    credential_issuer: config.id,
+    credential_endpoint: `${config.id}${routes.oid4vciCredential}`,
+    credential_configurations_supported: _getCredentialConfigurations({
+      config
+    })
+  };
+}
+
+export async function createOffer({config, credential, options = {}} = {}) {
+  assert.object(config, 'config');
+  assert.object(credential, 'credential');
+  assert.object(options, 'options');
+
+  const [credentialConfigurationId] = Object.keys(
+    _getCredentialConfigurations({config}));
+  if(!credentialConfigurationId) {
+    throw new BedrockError(
+      'This issuer instance cannot issue credentials via OID4VCI.', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+  // except for mDLs, the wallet's key is bound to the credential subject
+  if(credentialConfigurationId !== 'mso_mdoc' &&
+    !(credential.credentialSubject &&
+    typeof credential.credentialSubject === 'object' &&
+    !Array.isArray(credential.credentialSubject))) {
+    throw new BedrockError(
+      'Offered credentials must have a single credential subject.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  const {edvClient} = await getDocumentStore({config});
+  sweepExpired({config, edvClient});
+
+  const {offerTtl} = bedrock.config['vc-issuer'].oid4vci;
+  const preAuthorizedCode = _generateSecret();
+  const now = new Date();
+  const expires = new Date(now.getTime() + offerTtl);
+  // link the offer to the VC it holds a copy of, if already known
+  const issuedCredentialId = options.credentialId ?? credential.id;
+  await edvClient.update({
+    doc: {
+      id: await edvClient.generateId(),
+      content: {
+        type: OFFER_TYPE,
+        status: 'offered',
+        credentialConfigurationId,
+        credential,
+        options,
+        created: now.toISOString(),
+        expires: expires.toISOString()
+      },
+      meta: {
+        type: OFFER_TYPE,
+        preAuthorizedCodeHash: _hash(preAuthorizedCode),
+        ...(issuedCredentialId === undefined ? {} : {issuedCredentialId}),
+        ...getExpirationMeta({expires})
+      }
+    }
+  });
+
+  return {
+    credential_issuer: config.id,
+    credential_configuration_ids: [credentialConfigurationId],
+    grants: {
+      [PRE_AUTHORIZED_CODE_GRANT_TYPE]: {
+        'pre-authorized_code': preAuthorizedCode
+      }
+    }
+  };
+}
+
+export async function exchangePreAuthorizedCode({
+  config, grantType, preAuthorizedCode
+} = {}) {
+  assert.object(config, 'config');
+
+  if(grantType !== PRE_AUTHORIZED_CODE_GRANT_TYPE) {
+    _throwOAuthError({
+      error: 'unsupported_grant_type',
+      message: `Unsupported grant type "${grantType}".`
+    });
+  }
+  if(typeof preAuthorizedCode !== 'string') {
+    _throwOAuthError({
+      error: 'invalid_request',
+      message: '"pre-authorized_code" is required.'
+    });
+  }
+
+  const {edvClient} = await getDocumentStore({config});
+  const {documents: [doc]} = await edvClient.find({
+    equals: {'meta.preAuthorizedCodeHash': _hash(preAuthorizedCode)}
+  });
+  if(!(doc?.content.status === 'offered' && !isExpired({doc}))) {
+    await _deleteIfExpired({edvClient, doc});
+    _throwOAuthError({
+      error: 'invalid_grant',
+      message: 'Invalid or expired pre-authorized code.'
+    });
+  }
+
+  // issue access token and nonce for key proofs
+  const {accessTokenTtl} = bedrock.config['vc-issuer'].oid4vci;
+  const accessToken = _generateSecret();
+  const cNonce = _generateSecret();
+  const accessTokenExpires = new Date(Date.now() + accessTokenTtl);
+  try {
+    await edvClient.update({
+      doc: {
+        ...doc,
+        content: {
+          ...doc.content,
+          status: 'authorized',
+          cNonce,
+          accessTokenExpires: accessTokenExpires.toISOString()
+        },
+        // the offer now expires when its access token does
+        meta: {
+          ...doc.meta,
+          accessTokenHash: _hash(accessToken),
+          ...getExpirationMeta({expires: accessTokenExpires})
+        }
+      }
+    });
+  } catch(e) {
+    // pre-authorized code was concurrently exchanged
+    if(e.name === 'InvalidStateError') {
+      _throwOAuthError({
+        error: 'invalid_grant',
+        message: 'Invalid or expired pre-authorized code.'
+      });
+    }
+    throw e;
+  }
+
+  const expiresIn = Math.floor(accessTokenTtl / 1000);
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: expiresIn,
+    c_nonce: cNonce,
+    c_nonce_expires_in: expiresIn
+  };
+}
+
+export async function issueRequestedCredential({
+  config, accessToken, request
+} = {}) {
+  assert.object(config, 'config');
+  assert.object(request, 'request');
+
+  if(typeof accessToken !== 'string') {
+    _throwOAuthError({
+      error: 'invalid_token',
+      message: 'Access token is required.',
+      httpStatusCode: 401
+    });
+  }
+
+  const {edvClient} = await getDocumentStore({config});
+  let {documents: [doc]} = await edvClient.find({
+    equals: {'meta.accessTokenHash': _hash(accessToken)}
+  });
+  if(!(doc?.content.status === 'authorized' && !isExpired({doc}))) {
+    await _deleteIfExpired({edvClient, doc});
+    _throwOAuthError({
+      error: 'invalid_token',
+      message: 'Invalid or expired access token.',
+      httpStatusCode: 401
+    });
+  }
+  const {content} = doc;
+
+  // ensure requested credential is the offered one; `format` is accepted
+  // from wallets that implement earlier drafts
+  const credentialConfigurationId =
+    request.credential_configuration_id ?? request.format;
+  if(credentialConfigurationId !== content.credentialConfigurationId) {
+    _throwOAuthError({
+      error: 'unknown_credential_configuration',
+      message:
+        `Unknown credential configuration "${credentialConfigurationId}".`
+    });
+  }
+
+  // verify wallet's key proof
+  const {holder, jwk} = await _verifyProof({
+    config, jwt: _getProofJwt({request}), cNonce: content.cNonce
+  });
+
+  // mark offer as being redeemed to ensure it is only redeemed once
+  try {
+    doc = await edvClient.update({
+      doc: {...doc, content: {...content, status: 'issuing'}}
+    });
+  } catch(e) {
+    if(e.name === 'InvalidStateError') {
+      _throwOAuthError({
+        error: 'invalid_token',
+        message: 'Invalid or expired access token.',
+        httpStatusCode: 401
+      });
+    }
+    throw e;
+  }
+
+  // bind wallet's key into the credential
+  const credential = structuredClone(content.credential);
+  const options = structuredClone(content.options);
+  if(credentialConfigurationId === 'mso_mdoc') {
+    options.mdl = {...options.mdl, devicePublicJwk: jwk};
+  } else {
+    const {credentialSubject} = credential;
+    if(credentialSubject.id !== undefined && credentialSubject.id !== holder) {
+      _throwOAuthError({
+        error: 'invalid_proof',
+        message: 'Key proof does not match the credential subject.'
+      });
+    }
+    credentialSubject.id = holder;
+  }
+
+  let result;
+  try {
+    result = await issue({credential, config, options});
+  } catch(e) {
+    // allow wallet to try again
+    await edvClient.update({doc: {...doc, content}}).catch(
+      error => logger.error('Could not restore credential offer.', {error}));
+    throw e;
+  }
+
+  // remove offered credential now that it has been issued
+  const {type, created, expires} = content;
+  const meta = {...doc.meta};
+  if(result.credentialId !== undefined) {
+    meta.issuedCredentialId = result.credentialId;
+  }
+  await edvClient.update({
+    doc: {
+      ...doc,
+      content: {
+        type, status: 'issued', credentialConfigurationId, created, expires
+      },
+      meta
+    }
+  }).catch(
+    error => logger.error('Could not update credential offer.', {error}));
+
+  return {credentials: [{credential: _toResponseCredential(result)}]};
+}
+
+async function _deleteIfExpired({edvClient, doc}) {
+  if(doc?.meta.type === OFFER_TYPE && isExpired({doc})) {
+    await deleteExpired({edvClient, doc});
+  }
+}
+
+function _generateSecret() {
+  return randomBytes(32).toString('base64url');
+}
+
+function _getCredentialConfigurations({config}) {
+  const {cryptosuites = [], envelope, suiteName} = config.issueOptions;
+  const proofTypes = {
+    proof_types_supported: {
+      jwt: {
+        proof_signing_alg_values_supported: [...PROOF_ALGS.keys()]
+      }
+    }
+  };
+  if(envelope) {
+    const mediaType = getEnvelopeMediaType({envelope});
+    if(mediaType === 'application/jwt') {
+      return {
+        jwt_vc_json: {
+          format: 'jwt_vc_json',
+          cryptographic_binding_methods_supported: BINDING_METHODS,
+          credential_definition: {type: ['VerifiableCredential']},
+          ...proofTypes
+        }
+      };
+    }
+    if(mediaType === 'application/mdl') {
+      return {
+        mso_mdoc: {
+          format: 'mso_mdoc',
+          doctype: MDL_DOCTYPE,
+          cryptographic_binding_methods_supported: ['cose_key'],
+          ...proofTypes
+        }
+      };
+    }
+    return {};
+  }
+  return {
+    ldp_vc: {
+      format: 'ldp_vc',
+      cryptographic_binding_methods_supported: BINDING_METHODS,
+      credential_signing_alg_values_supported: suiteName ?
+        [suiteName] : cryptosuites.map(({name}) => name),
+      credential_definition: {
+        '@context': [CREDENTIALS_CONTEXT_V2_URL],
+        type: ['VerifiableCredential']
+      },
+      ...proofTypes
+    }
+  };
+}
+
+function _getProofJwt({request}) {
+  // `proofs` is used by the final spec, `proof` by earlier drafts
+  const {proofs, proof} = request;
+  const jwt = proofs ? proofs.jwt?.[0] :
+    (proof?.proof_type === 'jwt' ? proof.jwt : undefined);
+  if(typeof jwt !== 'string') {
+    _throwOAuthError({
+      error: 'invalid_proof',
+      message: 'A "jwt" key proof is required.'
+    });
+  }
+  return jwt;
+}
+
+async function _getProofPublicKey({header, keyLibrary}) {
+  const {jwk, kid} = header;
+  if(jwk !== undefined) {
+    const keyPair = await keyLibrary.fromJwk({jwk});
+    const publicJwk = await keyLibrary.toJwk({keyPair});
+    const holder = 'did:jwk:' +
+      Buffer.from(JSON.stringify(publicJwk)).toString('base64url');
+    return {keyPair, holder};
+  }
+  if(typeof kid === 'string' && kid.startsWith('did:')) {
+    const [holder] = kid.split('#');
+    // only accept DIDs that use an advertised binding method
+    if(!BINDING_METHODS.some(method => holder.startsWith(`${method}:`))) {
+      throw new Error(
+        'Key proof "kid" must use one of these DID methods: ' +
+        `${BINDING_METHODS.join(', ')}.`);
+    }
+    let keyPair;
+    if(holder.startsWith('did:jwk:')) {
+      const jwk = JSON.parse(
+        Buffer.from(holder.slice('did:jwk:'.length), 'base64url'));
+      keyPair = await keyLibrary.fromJwk({jwk});
+    } else {
+      const verificationMethod = await didIo.get({url: kid});
+      keyPair = verificationMethod.publicKeyJwk ?
+        await keyLibrary.fromJwk({jwk: verificationMethod.publicKeyJwk}) :
+        await keyLibrary.from(verificationMethod);
+    }
+    return {keyPair, holder};
+  }
+  throw new Error('Key proof must include "jwk" or a DID URL "kid".');
+}
+
+function _hash(secret) {
+  return createHash('sha256').update(secret).digest('base64url');
+}
+
+function _throwOAuthError({error, message, httpStatusCode = 400}) {
+  throw new BedrockError(message, {
+    name: httpStatusCode === 401 ? 'NotAllowedError' : 'DataError',
+    details: {
+      // OAuth2 / OID4VCI error code
+      oauthError: error,
+      httpStatusCode,
+      public: true
+    }
+  });
+}
+
+function _toResponseCredential({
+  verifiableCredential, envelope
+}) {
+  if(envelope?.mediaType === 'application/jwt') {
+    return envelope.data;
+  }
+  if(envelope?.mediaType === 'application/mdl') {
+    // OID4VCI uses base64url-encoded `IssuerSigned` for mdocs
+    return Buffer.from(envelope.data, 'base64').toString('base64url');
+  }
+  return verifiableCredential;
+}
+
+async function _verifyProof({config, jwt, cNonce}) {
+  let header;
+  let payload;
+  let keyPair;
+  let holder;
+  let jwk;
+  const [encodedHeader, encodedPayload, encodedSignature] = jwt.split('.');
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url'));
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url'));
+    const {keyLibrary, crv} = PROOF_ALGS.get(header.alg) ?? {};
+    if(header.typ !== PROOF_JWT_TYPE || !keyLibrary ||
+      typeof encodedSignature !== 'string') {
+      throw new Error('Invalid key proof header.');
+    }
+    ({keyPair, holder} = await _getProofPublicKey({header, keyLibrary}));
+    // `alg` must be for the curve of the key, not just its key type
+    jwk = await keyLibrary.toJwk({keyPair});
+    if(jwk.crv !== crv) {
+      throw new Error(
+        `"alg" "${header.alg}" cannot be used with a "${jwk.crv}" key.`);
+    }
+  } catch(cause) {
+    _throwOAuthError({
+      error: 'invalid_proof',
+      message: `Invalid key proof: ${cause.message}`
+    });
+  }
+
+  // check claims
+  if(payload.aud !== config.id) {
+    _throwOAuthError({
+      error: 'invalid_proof',
+      message: 'Key proof "aud" must be the credential issuer.'
+    });
+  }
+  if(payload.nonce !== cNonce) {
+    _throwOAuthError({
+      error: 'invalid_nonce',
+      message:
+        'Key proof "nonce" must be the "c_nonce" from the token response.'
+    });
+  }
+  if(!(Math.abs(Date.now() - payload.iat * 1000) <= MAX_PROOF_AGE)) {
+    _throwOAuthError({
+      error: 'invalid_proof',
+      message: 'Key proof "iat" is too old or in the future.'
+    });
+  }
+
+  // check signature
+  const verifier = keyPair.verifier();
+  const verified = await verifier.verify({
+    data: TEXT_ENCODER.encode(`${encodedHeader}.${encodedPayload}`),
+    signature: Buffer.from(encodedSignature, 'base64url')
+  });
+  if(!verified) {
+    _throwOAuthError({
+      error: 'invalid_proof',
+      message: 'Key proof signature is invalid.'
+    });
+  }
+
+  return {holder, jwk};
+}
@@ -0,0 +1,20 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import assert from 'assert-plus';
+
+// whether the JSON pointer (RFC 6901) `pointer` selects a value in `document`
+export function selects({document, pointer} = {}) {
+  assert.string(pointer, 'pointer');
+  const tokens = pointer.split('/').slice(1)
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  let value = document;
+  for(const token of tokens) {
+    if(!(value !== null && typeof value === 'object' &&
+      Object.hasOwn(value, token))) {
+      return false;
+    }
+    value = value[token];
+  }
+  return true;
+}
@@ -0,0 +1,113 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import {getDocumentStore} from './helpers.js';
+import {ListSource} from './ListSource.js';
+
+const {util: {BedrockError}} = bedrock;
+
+export async function setStatus({
+  config, credentialId, credentialStatus, status
+} = {}) {
+  assert.object(config, 'config');
+  assert.string(credentialId, 'credentialId');
+  assert.object(credentialStatus, 'credentialStatus');
+  assert.bool(status, 'status');
+
+  // find the status list config that produced the requested status type
+  const {type, statusPurpose} = credentialStatus;
+  const {statusListOptions = []} = config;
+  const statusListConfig = statusListOptions.find(
+    c => `${c.type}Entry` === type &&
+      [].concat(c.statusPurpose).includes(statusPurpose));
+  if(!statusListConfig) {
+    throw new BedrockError(
+      `No status list configuration for type "${type}" and status purpose ` +
+      `"${statusPurpose}".`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  // ensure zcap for updating statuses is available
+  const {
+    updateCredentialStatus: referenceId
+  } = statusListConfig.zcapReferenceIds;
+  if(!(referenceId && config.zcaps[referenceId])) {
+    throw new BedrockError(
+      'No capability available to update credential status.', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  // get matching status entry from the stored VC or, if it has been deleted,
+  // its latest tombstone
+  const {edvClient} = await getDocumentStore({config});
+  let {documents: [doc]} = await edvClient.find({
+    equals: {'meta.credentialId': credentialId}
+  });
+  if(!doc) {
+    const {documents} = await edvClient.find({
+      equals: {'meta.deletedCredentialId': credentialId}
+    });
+    [doc] = documents.sort((a, b) => b.meta.deleted.localeCompare(
+      a.meta.deleted));
+  }
+  const entry = [].concat(doc?.meta.credentialStatus ?? []).find(
+    e => e.type === type && e.statusPurpose === statusPurpose);
+  if(!entry) {
+    throw new BedrockError('Credential status not found.', {
+      name: 'NotFoundError',
+      details: {
+        credentialId,
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+
+  // forward status update to status service; note that terse status list
+  // entries refer to `BitstringStatusList` lists on the status service
+  const {statusListCredential, statusListIndex} = entry;
+  const listSource = new ListSource({config, statusListConfig});
+  try {
+    await listSource.setStatus({
+      credentialId,
+      credentialStatus: {
+        type: type === 'TerseBitstringStatusListEntry' ?
+          'BitstringStatusListEntry' : type,
+        statusListCredential,
+        statusListIndex: `${statusListIndex}`,
+        statusPurpose
+      },
+      status
+    });
+  } catch(cause) {
+    // an error response from the status service is a bad gateway for the
+    // client, whose own request may be fine (e.g., a `401` from the status
+    // service does not mean the client is not authorized here)
+    const details = {
+      credentialId,
+      httpStatusCode: cause.status === undefined ? 500 : 502,
+      problemType: 'status-service-error',
+      public: true
+    };
+    if(cause.status !== undefined) {
+      details.statusServiceHttpStatusCode = cause.status;
+    }
+    throw new BedrockError('Could not update credential status.', {
+      name: 'OperationError',
+      details,
+      cause
+    });
+  }
+}
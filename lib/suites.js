@@ -4,20 +4,28 @@
 import * as bedrock from '@bedrock/core';
 import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
 import {
-  createSignCryptosuite as createBbs2023SignCryptosuite
+  createDiscloseCryptosuite as createBbs2023DiscloseCryptosuite,
+  createSignCryptosuite as createBbs2023SignCryptosuite,
+  createVerifyCryptosuite as createBbs2023VerifyCryptosuite
 } from '@digitalbazaar/bbs-2023-cryptosuite';
 import {
-  createSignCryptosuite as createEcdsaJcs2019CryptoSuite
+  createSignCryptosuite as createEcdsaJcs2019CryptoSuite,
+  createVerifyCryptosuite as createEcdsaJcs2019VerifyCryptoSuite
 } from '@digitalbazaar/ecdsa-jcs-2019-cryptosuite';
 import {
-  createSignCryptosuite as createEcdsaSd2023SignCryptosuite
+  createDiscloseCryptosuite as createEcdsaSd2023DiscloseCryptosuite,
+  createSignCryptosuite as createEcdsaSd2023SignCryptosuite,
+  createVerifyCryptosuite as createEcdsaSd2023VerifyCryptosuite
 } from '@digitalbazaar/ecdsa-sd-2023-cryptosuite';
+import {
+  createSignCryptosuite as createEddsaJcs2022CryptoSuite,
+  createVerifyCryptosuite as createEddsaJcs2022VerifyCryptoSuite
+} from '@digitalbazaar/eddsa-jcs-2022-cryptosuite';
+import {getISODateTime, parseDateTime} from './validity.js';
+import assert from 'assert-plus';
 import {
   createCryptosuite as createEcdsaXi2023SignCryptosuite
 } from '@digitalbazaar/ecdsa-xi-2023-cryptosuite';
-import {
-  createSignCryptosuite as createEddsaJcs2022CryptoSuite
-} from '@digitalbazaar/eddsa-jcs-2022-cryptosuite';
 import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
 import {
   cryptosuite as ecdsaRdfc2019CryptoSuite
@@ -26,44 +34,212 @@ import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {
   cryptosuite as eddsaRdfc2022CryptoSuite
 } from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
+import {selects} from './pointers.js';
 import {randomUUID as uuid} from 'node:crypto';
 
+const ECDSA_KEY_TYPES = ['P-256', 'P-384'];
+
 const SUPPORTED_SUITES = new Map([
   ['Ed25519Signature2020', {
-    createSuite: ({signer}) => new Ed25519Signature2020({signer})
+    createSuite: ({signer}) => new Ed25519Signature2020({signer}),
+    createVerifySuite: () => new Ed25519Signature2020(),
+    keyTypes: ['Ed25519'],
+    // suite's context does not define `previousProof`
+    proofChains: false
   }],
   [eddsaRdfc2022CryptoSuite.name, {
-    createSuite: _createEddsaRdfc2022Suite
+    createSuite: _createEddsaRdfc2022Suite,
+    createVerifySuite: () => new DataIntegrityProof({
+      cryptosuite: withPreviousProofs({cryptosuite: eddsaRdfc2022CryptoSuite})
+    }),
+    keyTypes: ['Ed25519']
   }],
   [ecdsaRdfc2019CryptoSuite.name, {
-    createSuite: _createEcdsaRdfc2019Suite
+    createSuite: _createEcdsaRdfc2019Suite,
+    createVerifySuite: () => new DataIntegrityProof({
+      cryptosuite: withPreviousProofs({cryptosuite: ecdsaRdfc2019CryptoSuite})
+    }),
+    keyTypes: ECDSA_KEY_TYPES
   }],
   [createEddsaJcs2022CryptoSuite().name, {
-    createSuite: _createEddsaJcs2022Suite
+    createSuite: _createEddsaJcs2022Suite,
+    createVerifySuite: () => new DataIntegrityProof({
+      cryptosuite: withPreviousProofs({
+        cryptosuite: createEddsaJcs2022VerifyCryptoSuite()
+      })
+    }),
+    keyTypes: ['Ed25519']
   }],
   [createEcdsaJcs2019CryptoSuite().name, {
-    createSuite: _createEcdsaJcs2019Suite
+    createSuite: _createEcdsaJcs2019Suite,
+    createVerifySuite: () => new DataIntegrityProof({
+      cryptosuite: withPreviousProofs({
+        cryptosuite: createEcdsaJcs2019VerifyCryptoSuite()
+      })
+    }),
+    keyTypes: ECDSA_KEY_TYPES
   }],
   [createEcdsaSd2023SignCryptosuite().name, {
-    createSuite: _createEcdsaSd2023Suite
+    createSuite: _createEcdsaSd2023Suite,
+    createVerifySuite: () => new DataIntegrityProof({
+      cryptosuite: createEcdsaSd2023VerifyCryptosuite()
+    }),
+    createDeriveSuite: ({proofId, selectivePointers}) =>
+      new DataIntegrityProof({
+        cryptosuite: createEcdsaSd2023DiscloseCryptosuite({
+          proofId, selectivePointers
+        })
+      }),
+    keyTypes: ECDSA_KEY_TYPES,
+    // holders replace base proofs with derived proofs
+    proofChains: false
   }],
   [createEcdsaXi2023SignCryptosuite().name, {
-    createSuite: _createEcdsaXi2023Suite
+    createSuite: _createEcdsaXi2023Suite,
+    createVerifySuite: ({options}) => new DataIntegrityProof({
+      cryptosuite: withPreviousProofs({
+        cryptosuite: createEcdsaXi2023SignCryptosuite({
+          extraInformation: Buffer.from(options.extraInformation, 'base64url')
+        })
+      })
+    }),
+    keyTypes: ECDSA_KEY_TYPES
   }],
   [createBbs2023SignCryptosuite().name, {
-    createSuite: _createBbs2023Suite
+    createSuite: _createBbs2023Suite,
+    createVerifySuite: () => new DataIntegrityProof({
+      cryptosuite: createBbs2023VerifyCryptosuite()
+    }),
+    createDeriveSuite: ({proofId, selectivePointers}) =>
+      new DataIntegrityProof({
+        cryptosuite: createBbs2023DiscloseCryptosuite({
+          proofId, selectivePointers
+        })
+      }),
+    keyTypes: ['Bls12381G2'],
+    // holders replace base proofs with derived proofs
+    proofChains: false
   }]
 ]);
 
 const {util: {BedrockError}} = bedrock;
 
-export function getSuiteParams({config, suiteName, cryptosuite}) {
+/**
+ * Registers a cryptosuite that issuer instances can then be configured to
+ * use. Suites must be registered before `bedrock.init`, e.g., when the module
+ * that registers them is imported, as the supported suite names are added to
+ * the instance config schemas then.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the suite, as used in
+ *   `issueOptions.cryptosuites`.
+ * @param {Function} options.createSuite - A function that is called with
+ *   `{signer, config, options, cryptosuiteConfig, credential}` and returns
+ *   (or resolves to) a suite for `@digitalbazaar/vc` to sign with, where
+ *   `options` are the issue request options, `cryptosuiteConfig` is the
+ *   suite's entry in `issueOptions.cryptosuites`, and `credential` is the
+ *   credential to secure; a suite may be reused to secure other credentials
+ *   with the same `type` and request options.
+ * @param {Array<string>} options.keyTypes - The assertion method key types
+ *   (e.g., `Ed25519`, `P-256`) the suite can sign with.
+ * @param {boolean} [options.proofChains=false] - Whether the suite's proofs
+ *   can be part of a proof chain, i.e., can include `previousProof`; such
+ *   suites must secure the previous proofs along with the credential, e.g.,
+ *   by wrapping their cryptosuite with `withPreviousProofs()`.
+ * @param {Function} [options.createVerifySuite] - A function that is called
+ *   with `{config, options, cryptosuiteConfig, credential}` and returns (or
+ *   resolves to) a suite for `@digitalbazaar/vc` to verify the suite's proofs
+ *   with; required for issuer instances with `issueOptions.verifyAfterIssue`.
+ * @param {Function} [options.createDeriveSuite] - For selective disclosure
+ *   suites, a function that is called with `{proofId, selectivePointers}`
+ *   and returns a suite to derive a proof from the base proof with that ID,
+ *   as base proofs cannot be verified directly.
+ */
+export function registerCryptosuite({
+  name, createSuite, keyTypes, proofChains = false, createVerifySuite,
+  createDeriveSuite
+} = {}) {
+  assert.string(name, 'name');
+  assert.func(createSuite, 'createSuite');
+  assert.arrayOfString(keyTypes, 'keyTypes');
+  assert.bool(proofChains, 'proofChains');
+  assert.optionalFunc(createVerifySuite, 'createVerifySuite');
+  assert.optionalFunc(createDeriveSuite, 'createDeriveSuite');
+  if(SUPPORTED_SUITES.has(name)) {
+    throw new Error(`Cryptosuite "${name}" is already registered.`);
+  }
+  SUPPORTED_SUITES.set(name, {
+    createSuite, keyTypes: [...keyTypes], proofChains, createVerifySuite,
+    createDeriveSuite
+  });
+}
+
+/**
+ * Wraps a Data Integrity cryptosuite so that the proofs it creates and
+ * verifies also secure any proofs they reference via `previousProof`, as
+ * required for proof chains by the VC Data Integrity spec. Proofs without
+ * `previousProof` are created and verified as by the wrapped cryptosuite.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.cryptosuite - The cryptosuite to wrap.
+ *
+ * @returns {object} The wrapped cryptosuite.
+ */
+export function withPreviousProofs({cryptosuite} = {}) {
+  assert.object(cryptosuite, 'cryptosuite');
+  return {
+    ...cryptosuite,
+    async createVerifyData(options) {
+      const {document, proof, proofSet = [], dataIntegrityProof} = options;
+      if(proof.previousProof !== undefined) {
+        options = {
+          ...options,
+          document: {
+            ...document,
+            proof: _getPreviousProofs({proof, proofSet})
+          }
+        };
+      }
+      if(cryptosuite.createVerifyData) {
+        return cryptosuite.createVerifyData(options);
+      }
+      return dataIntegrityProof.createVerifyData(options);
+    }
+  };
+}
+
+export function getSuiteNames() {
+  return [...SUPPORTED_SUITES.keys()];
+}
+
+export function isSupportedSuite({suiteName}) {
+  return SUPPORTED_SUITES.has(suiteName);
+}
+
+export function supportsProofChains({suiteName}) {
+  return SUPPORTED_SUITES.get(suiteName)?.proofChains !== false;
+}
+
+// selective disclosure suites are those that can derive proofs
+export function supportsSelectiveDisclosure({suiteName}) {
+  return !!SUPPORTED_SUITES.get(suiteName)?.createDeriveSuite;
+}
+
+export function supportsVerification({suiteName}) {
+  return !!SUPPORTED_SUITES.get(suiteName)?.createVerifySuite;
+}
+
+export function getSuiteParams({
+  config, suiteName, cryptosuite, now = new Date()
+}) {
   // get zcap to use to invoke assertion method key
   let zcap;
   let referenceId;
   if(cryptosuite) {
     suiteName = cryptosuite.name;
-    referenceId = cryptosuite.zcapReferenceIds.assertionMethod;
+    referenceId = _getAssertionMethodReferenceId({
+      zcapReferenceIds: cryptosuite.zcapReferenceIds, now
+    });
     zcap = config.zcaps[referenceId];
   } else {
     // legacy mode, generate `cryptosuite`...
@@ -121,15 +297,103 @@ export function getSuiteParams({config, suiteName, cryptosuite}) {
       });
   }
 
-  const {createSuite} = suiteInfo;
-  return {zcap, createSuite, referenceId, cryptosuite};
+  const createSuite = _withProofOptions({createSuite: suiteInfo.createSuite});
+  const {keyTypes, createVerifySuite, createDeriveSuite} = suiteInfo;
+  return {
+    zcap, createSuite, createVerifySuite, createDeriveSuite, keyTypes,
+    referenceId, cryptosuite
+  };
+}
+
+// gets the reference ID of the zcap for the assertion method key to use at
+// `now`: the first key in `assertionMethods` whose activation window includes
+// `now` or, if there is none, `assertionMethod`
+function _getAssertionMethodReferenceId({zcapReferenceIds, now}) {
+  const {assertionMethod, assertionMethods = []} = zcapReferenceIds;
+  const active = assertionMethods.find(({notBefore, notAfter}) =>
+    !(notBefore !== undefined && now < new Date(notBefore)) &&
+    !(notAfter !== undefined && now >= new Date(notAfter)));
+  return active?.referenceId ?? assertionMethod;
+}
+
+// wraps `createSuite` so that the suite's proofs include any proof options
+// from the cryptosuite config or the issue request options
+function _withProofOptions({createSuite}) {
+  return async function createSuiteWithProofOptions(params = {}) {
+    const proofOptions = _getProofOptions(params);
+    const suite = await createSuite(params);
+    if(Object.keys(proofOptions).length > 0) {
+      suite.proof = {...suite.proof, ...proofOptions};
+    }
+    return suite;
+  };
+}
+
+function _getProofOptions({options = {}, cryptosuiteConfig, now = new Date()}) {
+  const configOptions = cryptosuiteConfig?.options ?? {};
+  const proofOptions = {};
+
+  // proof options set in the config cannot be overridden per request
+  for(const name of ['domain', 'challenge', 'nonce']) {
+    if(configOptions[name] !== undefined && options[name] !== undefined) {
+      throw new BedrockError(`"options.${name}" is not allowed.`, {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+    }
+    const value = configOptions[name] ?? options[name];
+    if(value !== undefined) {
+      proofOptions[name] = value;
+    }
+  }
+
+  // proofs expire at the requested time, which must be within any maximum
+  // lifetime, or after the default (or maximum) lifetime if one is set
+  const {expiresIn, maxExpiresIn} = configOptions;
+  if(options.expires !== undefined) {
+    const expires = parseDateTime({
+      value: options.expires, property: 'options.expires'
+    });
+    const lifetime = (expires - now) / 1000;
+    if(lifetime <= 0) {
+      throw new BedrockError('"options.expires" must be in the future.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          problemType: 'invalid-date',
+          public: true
+        }
+      });
+    }
+    if(maxExpiresIn !== undefined && lifetime > maxExpiresIn) {
+      throw new BedrockError(
+        `Proofs must not expire more than ${maxExpiresIn} seconds after ` +
+        'they are created.', {
+          name: 'DataError',
+          details: {
+            maxExpiresIn,
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    proofOptions.expires = options.expires;
+  } else if((expiresIn ?? maxExpiresIn) !== undefined) {
+    proofOptions.expires = getISODateTime(
+      new Date(now.getTime() + (expiresIn ?? maxExpiresIn) * 1000));
+  }
+
+  return proofOptions;
 }
 
 function _createEddsaRdfc2022Suite({signer, cryptosuiteConfig}) {
   return new DataIntegrityProof({
     signer,
     date: _getCreated({cryptosuiteConfig}),
-    cryptosuite: eddsaRdfc2022CryptoSuite
+    cryptosuite: withPreviousProofs({cryptosuite: eddsaRdfc2022CryptoSuite})
   });
 }
 
@@ -137,7 +401,7 @@ function _createEcdsaRdfc2019Suite({signer, cryptosuiteConfig} = {}) {
   return new DataIntegrityProof({
     signer,
     date: _getCreated({cryptosuiteConfig}),
-    cryptosuite: ecdsaRdfc2019CryptoSuite
+    cryptosuite: withPreviousProofs({cryptosuite: ecdsaRdfc2019CryptoSuite})
   });
 }
 
@@ -145,7 +409,9 @@ function _createEddsaJcs2022Suite({signer, cryptosuiteConfig}) {
   return new DataIntegrityProof({
     signer,
     date: _getCreated({cryptosuiteConfig}),
-    cryptosuite: createEddsaJcs2022CryptoSuite()
+    cryptosuite: withPreviousProofs({
+      cryptosuite: createEddsaJcs2022CryptoSuite()
+    })
   });
 }
 
@@ -153,25 +419,20 @@ function _createEcdsaJcs2019Suite({signer, cryptosuiteConfig} = {}) {
   return new DataIntegrityProof({
     signer,
     date: _getCreated({cryptosuiteConfig}),
-    cryptosuite: createEcdsaJcs2019CryptoSuite()
+    cryptosuite: withPreviousProofs({
+      cryptosuite: createEcdsaJcs2019CryptoSuite()
+    })
   });
 }
 
-function _createEcdsaSd2023Suite({signer, options, cryptosuiteConfig} = {}) {
-  // enforce `cryptosuiteConfig.options` if given
-  if(cryptosuiteConfig?.options?.mandatoryPointers &&
-    options?.mandatoryPointers) {
-    throw new BedrockError('"options.mandatoryPointers" is not allowed.', {
-      name: 'NotAllowedError',
-      details: {
-        httpStatusCode: 400,
-        public: true
-      }
-    });
-  }
-  const mandatoryPointers = cryptosuiteConfig?.options?.mandatoryPointers ??
-    options?.mandatoryPointers ?? ['/issuer'];
-  const cryptosuite = createEcdsaSd2023SignCryptosuite({
+function _createEcdsaSd2023Suite({
+  signer, options, cryptosuiteConfig, credential
+} = {}) {
+  const mandatoryPointers = _getMandatoryPointers({
+    options, cryptosuiteConfig, credential
+  });
+  const cryptosuite = _withMandatoryPointerCheck({
+    cryptosuite: createEcdsaSd2023SignCryptosuite({mandatoryPointers}),
     mandatoryPointers
   });
   const diProof = new DataIntegrityProof({
@@ -200,30 +461,25 @@ function _createEcdsaXi2023Suite({signer, options} = {}) {
   return new DataIntegrityProof({
     signer,
     date: null,
-    cryptosuite
+    cryptosuite: withPreviousProofs({cryptosuite})
   });
 }
 
-async function _createBbs2023Suite({signer, options, cryptosuiteConfig} = {}) {
-  // enforce `cryptosuiteConfig.options` if given
-  if(cryptosuiteConfig?.options?.mandatoryPointers &&
-    options?.mandatoryPointers) {
-    throw new BedrockError('"options.mandatoryPointers" is not allowed.', {
-      name: 'NotAllowedError',
-      details: {
-        httpStatusCode: 400,
-        public: true
-      }
-    });
+async function _createBbs2023Suite({
+  signer, options, cryptosuiteConfig, credential
+} = {}) {
+  const mandatoryPointers = _getMandatoryPointers({
+    options, cryptosuiteConfig, credential
+  });
+
+  // BBS requires signer public key; cached signers may already have it
+  if(!signer.publicKey) {
+    const {publicKeyMultibase} = await signer.getKeyDescription();
+    const {publicKey} = await Bls12381Multikey.from({publicKeyMultibase});
+    signer.publicKey = publicKey;
   }
-  const mandatoryPointers = cryptosuiteConfig?.options?.mandatoryPointers ??
-    options?.mandatoryPointers ?? ['/issuer'];
-
-  // BBS requires signer public key
-  const {publicKeyMultibase} = await signer.getKeyDescription();
-  const {publicKey} = await Bls12381Multikey.from({publicKeyMultibase});
-  signer.publicKey = publicKey;
-  const cryptosuite = createBbs2023SignCryptosuite({
+  const cryptosuite = _withMandatoryPointerCheck({
+    cryptosuite: createBbs2023SignCryptosuite({mandatoryPointers}),
     mandatoryPointers
   });
   const diProof = new DataIntegrityProof({
@@ -235,14 +491,74 @@ async function _createBbs2023Suite({signer, options, cryptosuiteConfig} = {}) {
   return diProof;
 }
 
+// gets the proofs referenced by `proof.previousProof` from `proofSet`
+function _getPreviousProofs({proof, proofSet}) {
+  return [].concat(proof.previousProof).map(id => {
+    const previousProof = proofSet.find(p => p.id === id);
+    if(!previousProof) {
+      throw new Error(`Previous proof "${id}" not found.`);
+    }
+    return previousProof;
+  });
+}
+
+function _getMandatoryPointers({options, cryptosuiteConfig, credential}) {
+  const {
+    mandatoryPointers, mandatoryPointersByType
+  } = cryptosuiteConfig?.options ?? {};
+
+  // use the pointers for each of the credential's types that has any; if
+  // none do, use any pointers for all types
+  let configured = mandatoryPointers;
+  const types = [].concat(credential?.type ?? [])
+    .filter(type => mandatoryPointersByType && Object.hasOwn(
+      mandatoryPointersByType, type));
+  if(types.length > 0) {
+    configured = [...new Set(
+      types.flatMap(type => mandatoryPointersByType[type]))];
+  }
+
+  // enforce `cryptosuiteConfig.options` if given
+  if(configured && options?.mandatoryPointers) {
+    throw new BedrockError('"options.mandatoryPointers" is not allowed.', {
+      name: 'NotAllowedError',
+      details: {
+        httpStatusCode: 400,
+        public: true
+      }
+    });
+  }
+  return configured ?? options?.mandatoryPointers ?? ['/issuer'];
+}
+
+// ensures every mandatory pointer selects a value in each document that
+// `cryptosuite` secures before securing it
+function _withMandatoryPointerCheck({cryptosuite, mandatoryPointers}) {
+  return {
+    ...cryptosuite,
+    async createVerifyData(options) {
+      const pointer = mandatoryPointers.find(
+        pointer => !selects({document: options.document, pointer}));
+      if(pointer !== undefined) {
+        // same message as thrown when selecting the pointer would fail
+        throw new BedrockError(
+          `JSON pointer "${pointer}" does not match document.`, {
+            name: 'DataError',
+            details: {
+              httpStatusCode: 400,
+              problemType: 'invalid-mandatory-pointer',
+              public: true
+            }
+          });
+      }
+      return cryptosuite.createVerifyData(options);
+    }
+  };
+}
+
 function _getCreated({cryptosuiteConfig, date = new Date()}) {
   if(cryptosuiteConfig.options?.includeCreated === true) {
-    return _getISODateTime(date);
+    return getISODateTime(date);
   }
   return null;
 }
-
-function _getISODateTime(date) {
-  // remove milliseconds precision
-  return date.toISOString().replace(/\.\d+Z$/, 'Z');
-}
@@ -0,0 +1,282 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import {getDocumentStore} from './helpers.js';
+import {selects} from './pointers.js';
+import {unsecuredCredential} from '../schemas/bedrock-vc-issuer.js';
+import {validateInstance} from '@bedrock/validation';
+
+const {util: {BedrockError}} = bedrock;
+
+export const TEMPLATE_TYPE = 'CredentialTemplate';
+
+// credential properties that may only be set when a credential is issued
+const ISSUED_PROPERTIES = new Set([
+  'credentialStatus', 'issuer', 'validFrom', 'validUntil'
+]);
+
+/* Note: Credential templates are stored in the same EDV as issued VCs and
+JSON-LD contexts, using the same document format as contexts, so a template's
+`id` must not be the same as the `id` of any context or stored VC. */
+
+// gets the credential to issue from an issue request body, merging any
+// `claims` into the credential template given by `options.templateId`
+export async function getCredential({
+  config, credential, claims, options = {}
+} = {}) {
+  assert.object(config, 'config');
+  assert.optionalObject(credential, 'credential');
+  assert.optionalObject(claims, 'claims');
+  assert.object(options, 'options');
+
+  const {templateId} = options;
+  if(templateId === undefined) {
+    return credential;
+  }
+
+  let doc;
+  try {
+    doc = await _getTemplate({config, templateId});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    throw new BedrockError(
+      `Credential template "${templateId}" not found.`, {
+        name: 'DataError',
+        details: {
+          templateId,
+          httpStatusCode: 400,
+          public: true
+        },
+        cause: e
+      });
+  }
+
+  // ensure the merged credential is still a valid credential
+  credential = _merge({template: doc.content.template, claims});
+  const result = validateInstance({
+    instance: credential, schema: unsecuredCredential
+  });
+  if(!result.valid) {
+    throw result.error;
+  }
+  return credential;
+}
+
+/**
+ * Ensures that every mandatory pointer for a credential type selects a value
+ * in each of the issuer instance's credential templates of that type. Values
+ * that are only set when a credential is issued (e.g., `issuer`) need not be
+ * in a template.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The issuer instance config.
+ * @param {object} options.mandatoryPointersByType - Credential `type` =>
+ *   mandatory pointers for credentials of that type.
+ *
+ * @returns {Promise} Resolves once the pointers are validated.
+ */
+export async function validateMandatoryPointers({
+  config, mandatoryPointersByType
+} = {}) {
+  assert.object(config, 'config');
+  assert.object(mandatoryPointersByType, 'mandatoryPointersByType');
+
+  const {edvClient} = await getDocumentStore({config});
+  for(const [type, pointers] of Object.entries(mandatoryPointersByType)) {
+    const {documents} = await edvClient.find({
+      equals: {'content.template.type': type}
+    });
+    const templates = documents.filter(
+      ({meta}) => meta.type === TEMPLATE_TYPE);
+    for(const {content: {id: templateId, template}} of templates) {
+      const pointer = pointers.find(pointer => !_selects({
+        document: template, pointer
+      }));
+      if(pointer !== undefined) {
+        throw new Error(
+          `Mandatory pointer "${pointer}" for type "${type}" does not ` +
+          `select a value in credential template "${templateId}".`);
+      }
+    }
+  }
+}
+
+/* Note: Templates are written via `getDocumentStore()` so that the indexes
+used to find them by type are ensured before they are written. */
+
+export async function createTemplate({config, id, template} = {}) {
+  assert.object(config, 'config');
+  assert.string(id, 'id');
+  assert.object(template, 'template');
+
+  const documentStore = await getDocumentStore({config});
+  const content = {id, template};
+  try {
+    await documentStore.upsert({
+      content, meta: {type: TEMPLATE_TYPE},
+      async mutator() {
+        // abort upsert due to duplicate
+        const error = new Error('AbortError');
+        error.name = 'AbortError';
+        throw error;
+      }
+    });
+  } catch(e) {
+    if(e.name === 'AbortError') {
+      throw new BedrockError('Duplicate Credential template.', {
+        name: 'DuplicateError',
+        details: {
+          httpStatusCode: 409,
+          public: true
+        }
+      });
+    }
+    throw e;
+  }
+  return {...content, sequence: 0};
+}
+
+export async function getTemplate({config, templateId} = {}) {
+  assert.object(config, 'config');
+  assert.string(templateId, 'templateId');
+
+  const doc = await _getTemplate({config, templateId});
+  const {content: {id, template}, sequence} = doc;
+  return {id, template, sequence};
+}
+
+export async function updateTemplate({config, id, template, sequence} = {}) {
+  assert.object(config, 'config');
+  assert.string(id, 'id');
+  assert.object(template, 'template');
+  assert.number(sequence, 'sequence');
+
+  const documentStore = await getDocumentStore({config});
+  const content = {id, template};
+  try {
+    await documentStore.upsert({
+      content, meta: {type: TEMPLATE_TYPE},
+      async mutator({doc}) {
+        if(doc.meta.type !== TEMPLATE_TYPE) {
+          // wrong document type, update not allowed
+          const error = new Error(
+            'Existing document is not a Credential template.');
+          error.name = 'NotAllowedError';
+          throw error;
+        }
+        if(doc.sequence !== (sequence - 1)) {
+          // abort upsert due to out of sequence
+          const error = new Error('AbortError');
+          error.name = 'AbortError';
+          error.actual = doc.sequence;
+          throw error;
+        }
+        doc.content = content;
+        doc.meta = {type: TEMPLATE_TYPE};
+        return doc;
+      }
+    });
+  } catch(e) {
+    if(e.name === 'AbortError') {
+      throw new BedrockError(
+        'Could not update Credential template; unexpected sequence.', {
+          name: 'InvalidStateError',
+          details: {
+            expected: sequence - 1,
+            actual: e.actual,
+            httpStatusCode: 409,
+            public: true
+          }
+        });
+    }
+    throw e;
+  }
+  return {...content, sequence};
+}
+
+export async function deleteTemplate({config, templateId} = {}) {
+  assert.object(config, 'config');
+  assert.string(templateId, 'templateId');
+
+  const documentStore = await getDocumentStore({config});
+  const doc = await _getTemplate({
+    config, templateId, documentStore, useCache: false
+  });
+  await documentStore.delete({docId: doc.id});
+}
+
+async function _getTemplate({
+  config, templateId, documentStore, useCache = true
+}) {
+  documentStore = documentStore ?? await getDocumentStore({config});
+  let doc;
+  try {
+    doc = await documentStore.get({id: templateId, useCache});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  // ensure `meta.type` (only set by server) matches expectations
+  if(doc?.meta.type !== TEMPLATE_TYPE) {
+    throw new BedrockError('Credential template not found.', {
+      name: 'NotFoundError',
+      details: {
+        templateId,
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+  return doc;
+}
+
+// whether JSON `pointer` (RFC 6901) selects a value in template `document`
+// once any properties that are set on issuance are
+function _selects({document, pointer}) {
+  const [, property] = pointer.split('/');
+  if(ISSUED_PROPERTIES.has(property) && !Object.hasOwn(document, property)) {
+    return true;
+  }
+  return selects({document, pointer});
+}
+
+function _isObject(x) {
+  return x !== null && typeof x === 'object' && !Array.isArray(x);
+}
+
+// merges `claims` into a copy of `template`; `@context` and `type` values
+// are added to the template's values, other objects are merged recursively,
+// and any other claim replaces the template's value
+function _merge({template, claims = {}}) {
+  const credential = structuredClone(template);
+  for(const [key, value] of Object.entries(claims)) {
+    if(key === '@context' || key === 'type') {
+      const values = [].concat(credential[key]);
+      for(const v of [].concat(value)) {
+        if(!values.includes(v)) {
+          values.push(v);
+        }
+      }
+      credential[key] = values;
+    } else {
+      credential[key] = _mergeValue({target: credential[key], value});
+    }
+  }
+  return credential;
+}
+
+function _mergeValue({target, value}) {
+  if(!(_isObject(target) && _isObject(value))) {
+    return structuredClone(value);
+  }
+  const merged = {...target};
+  for(const [key, v] of Object.entries(value)) {
+    merged[key] = _mergeValue({target: merged[key], value: v});
+  }
+  return merged;
+}
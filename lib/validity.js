@@ -0,0 +1,140 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as vc from '@digitalbazaar/vc';
+import assert from 'assert-plus';
+import {named as vcNamedContexts} from '@bedrock/credentials-context';
+
+const {util: {BedrockError}} = bedrock;
+
+// XML schema `dateTimeStamp`, as required by the VC 2.0 data model
+const DATE_TIME_REGEX = new RegExp(
+  '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])' +
+  'T([01]\\d|2[0-3]):[0-5]\\d:([0-5]\\d|60)(\\.\\d+)?' +
+  '(Z|[+-]([01]\\d|2[0-3]):[0-5]\\d)$', 'i');
+
+/**
+ * Ensures the validity period of a credential is well-formed and, if the
+ * issuer instance has `issueOptions.validity`, sets any missing start and end
+ * of the validity period and enforces its maximum length.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The issuer instance config.
+ * @param {object} options.credential - The credential to update.
+ * @param {Date} [options.now] - The current date.
+ */
+export function applyValidity({config, credential, now = new Date()} = {}) {
+  assert.object(config, 'config');
+  assert.object(credential, 'credential');
+
+  // VC 1.1 uses different property names
+  const contexts = [].concat(credential['@context']);
+  const [fromProperty, untilProperty] =
+    contexts.includes(vcNamedContexts.get('v1').id) ?
+      ['issuanceDate', 'expirationDate'] : ['validFrom', 'validUntil'];
+
+  // without `validity`, dates are only checked as leniently as the VC
+  // library checks them (a timezone is optional); validity periods can only
+  // be computed from dates with timezones
+  const {validity} = config.issueOptions;
+  const strict = !!validity;
+  let validFrom = _getDate({credential, property: fromProperty, strict});
+  let validUntil = _getDate({credential, property: untilProperty, strict});
+  _assertOrder({validFrom, validUntil, fromProperty, untilProperty});
+  if(!validity) {
+    return;
+  }
+
+  // fill in missing dates; `maxPeriod` is the default period if no default
+  // is given so that every credential's validity period is limited
+  const {maxPeriod, clamp = false} = validity;
+  const defaultPeriod = validity.defaultPeriod ?? maxPeriod;
+  if(!validFrom) {
+    validFrom = now;
+    credential[fromProperty] = getISODateTime(validFrom);
+  }
+  if(!validUntil && defaultPeriod !== undefined) {
+    validUntil = new Date(validFrom.getTime() + defaultPeriod * 1000);
+    credential[untilProperty] = getISODateTime(validUntil);
+  }
+  // a given end date may be before a default start date
+  _assertOrder({validFrom, validUntil, fromProperty, untilProperty});
+
+  // enforce maximum period
+  if(maxPeriod === undefined ||
+    (validUntil - validFrom) / 1000 <= maxPeriod) {
+    return;
+  }
+  if(clamp) {
+    validUntil = new Date(validFrom.getTime() + maxPeriod * 1000);
+    credential[untilProperty] = getISODateTime(validUntil);
+    return;
+  }
+  throw new BedrockError(
+    `The credential must not be valid for more than ${maxPeriod} seconds.`, {
+      name: 'DataError',
+      details: {
+        maxPeriod,
+        httpStatusCode: 400,
+        problemType: 'invalid-validity-period',
+        public: true
+      }
+    });
+}
+
+export function getISODateTime(date = new Date()) {
+  // remove milliseconds precision
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+// parses an XML schema `dateTimeStamp` value, throwing a `DataError` that
+// names `property` if it is not valid
+export function parseDateTime({value, property} = {}) {
+  if(!(typeof value === 'string' && DATE_TIME_REGEX.test(value) &&
+    !isNaN(Date.parse(value)))) {
+    _throwInvalidDate({property});
+  }
+  return new Date(value);
+}
+
+function _assertOrder({validFrom, validUntil, fromProperty, untilProperty}) {
+  if(validFrom && validUntil && validUntil < validFrom) {
+    throw new BedrockError(
+      `"${untilProperty}" must not be before "${fromProperty}".`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          problemType: 'invalid-date',
+          public: true
+        }
+      });
+  }
+}
+
+function _getDate({credential, property, strict}) {
+  const value = credential[property];
+  if(value === undefined) {
+    return;
+  }
+  if(strict) {
+    return parseDateTime({value, property});
+  }
+  // an XML schema `dateTime`, which may not be comparable to other dates
+  if(!(typeof value === 'string' && vc.dateRegex.test(value))) {
+    _throwInvalidDate({property});
+  }
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+}
+
+function _throwInvalidDate({property}) {
+  throw new BedrockError(`"${property}" must be a valid date.`, {
+    name: 'DataError',
+    details: {
+      httpStatusCode: 400,
+      problemType: 'invalid-date',
+      public: true
+    }
+  });
+}
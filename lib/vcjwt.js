@@ -1,9 +1,22 @@
 /*!
  * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+
+const {util: {BedrockError}} = bedrock;
+
 const TEXT_ENCODER = new TextEncoder();
 const ENCODED_PERIOD = TEXT_ENCODER.encode('.');
 
+// JWT `alg` => key library
+const KEY_LIBRARIES = new Map([
+  ['EdDSA', Ed25519Multikey],
+  ['ES256', EcdsaMultikey],
+  ['ES384', EcdsaMultikey]
+]);
+
 // produce VC-JWT-enveloped VC
 export async function envelopeCredential({
   verifiableCredential, signer, envelopeConfig = {}
@@ -43,20 +56,20 @@ export async function envelopeCredential({
     payload.sub = sub;
   }
 
-  let nbf = issuanceDate ?? validFrom;
+  const nbf = _getNumericDate({
+    property: issuanceDate === undefined ? 'validFrom' : 'issuanceDate',
+    value: issuanceDate ?? validFrom
+  });
   if(nbf !== undefined) {
-    nbf = Date.parse(nbf);
-    if(!isNaN(nbf)) {
-      payload.nbf = Math.floor(nbf / 1000);
-    }
+    payload.nbf = nbf;
   }
 
-  let exp = expirationDate ?? validUntil;
+  const exp = _getNumericDate({
+    property: expirationDate === undefined ? 'validUntil' : 'expirationDate',
+    value: expirationDate ?? validUntil
+  });
   if(exp !== undefined) {
-    exp = Date.parse(exp);
-    if(!isNaN(exp)) {
-      payload.exp = Math.floor(exp / 1000);
-    }
+    payload.exp = exp;
   }
 
   payload.vc = verifiableCredential;
@@ -97,6 +110,40 @@ export async function signJWT({payload, protectedHeader, signer} = {}) {
   return `${jws.protected}.${jws.payload}.${jws.signature}`;
 }
 
+// verifies a VC-JWT-enveloped VC using the public key of the issuer's
+// assertion method that is identified by the JWT's `kid`
+export async function verifyEnvelope({data, documentLoader} = {}) {
+  const [encodedHeader, encodedPayload, encodedSignature] = data.split('.');
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url'));
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url'));
+  const keyLibrary = KEY_LIBRARIES.get(header.alg);
+  if(!keyLibrary) {
+    throw new Error(`Unsupported JWT "alg" "${header.alg}".`);
+  }
+
+  // `kid` must be an assertion method of the issuer
+  const {kid} = header;
+  const {document: controller} = await documentLoader(payload.iss);
+  const assertionMethods = [].concat(controller.assertionMethod ?? [])
+    .map(method => method?.id ?? method);
+  if(!assertionMethods.includes(kid)) {
+    throw new Error(
+      `JWT "kid" "${kid}" is not an assertion method of "${payload.iss}".`);
+  }
+  const {document: verificationMethod} = await documentLoader(kid);
+  if(verificationMethod.controller !== payload.iss) {
+    throw new Error(`JWT "kid" "${kid}" is not controlled by the issuer.`);
+  }
+
+  const keyPair = verificationMethod.publicKeyJwk ?
+    await keyLibrary.fromJwk({jwk: verificationMethod.publicKeyJwk}) :
+    await keyLibrary.from(verificationMethod);
+  return keyPair.verifier().verify({
+    data: TEXT_ENCODER.encode(`${encodedHeader}.${encodedPayload}`),
+    signature: Buffer.from(encodedSignature, 'base64url')
+  });
+}
+
 function _curveToAlg(crv) {
   if(crv === 'Ed25519' || crv === 'Ed448') {
     return 'EdDSA';
@@ -109,3 +156,22 @@ function _curveToAlg(crv) {
   }
   return crv;
 }
+
+function _getNumericDate({property, value}) {
+  if(value === undefined) {
+    return;
+  }
+  const date = Date.parse(value);
+  if(isNaN(date)) {
+    // do not drop malformed dates, which would change the VC's validity
+    throw new BedrockError(`"${property}" must be a valid date.`, {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        problemType: 'invalid-date',
+        public: true
+      }
+    });
+  }
+  return Math.floor(date / 1000);
+}
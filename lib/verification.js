@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as vc from '@digitalbazaar/vc';
+import assert from 'assert-plus';
+import {verifyEnvelope} from './envelopes.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note: Issued credentials are verified to catch credentials that were
+secured with the wrong key (e.g., because of a misconfigured zcap) before
+they are stored or returned. Only proofs and envelope signatures are checked;
+credential statuses are not, as their status lists may not yet be updated. */
+
+/**
+ * Verifies each proof on and any envelope of an issued credential, throwing
+ * an `AbortError` if any of them do not verify.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.verifiableCredential - The issued credential.
+ * @param {Array<object>} [options.verifySuites] - The suites to verify each
+ *   proof with, in the order the proofs were created.
+ * @param {object} [options.envelope] - The credential's envelope.
+ * @param {Function} options.documentLoader - The instance's document loader.
+ */
+export async function verifyIssued({
+  verifiableCredential, verifySuites = [], envelope, documentLoader
+} = {}) {
+  assert.object(verifiableCredential, 'verifiableCredential');
+  assert.array(verifySuites, 'verifySuites');
+  assert.optionalObject(envelope, 'envelope');
+  assert.func(documentLoader, 'documentLoader');
+
+  const proofs = [].concat(verifiableCredential.proof ?? []);
+  if(proofs.length !== verifySuites.length) {
+    _throwVerificationError({
+      message: 'The number of proofs does not match the number of suites.'
+    });
+  }
+  for(const [i, proof] of proofs.entries()) {
+    await _verifyProof({
+      verifiableCredential, proof, proofs, ...verifySuites[i], documentLoader
+    });
+  }
+
+  if(envelope) {
+    let verified;
+    try {
+      verified = await verifyEnvelope({envelope, documentLoader});
+    } catch(cause) {
+      _throwVerificationError({cause});
+    }
+    if(!verified) {
+      _throwVerificationError({
+        message: 'The envelope signature does not verify.'
+      });
+    }
+  }
+}
+
+async function _verifyProof({
+  verifiableCredential, proof, proofs, suite, createDeriveSuite,
+  documentLoader
+}) {
+  let result;
+  try {
+    // verify each proof on its own as a credential verifies if any one of its
+    // proofs does; a proof in a proof chain also secures the previous proofs,
+    // so those must be present too
+    let credential = {
+      ...verifiableCredential,
+      proof: proof.previousProof === undefined ? proof : proofs
+    };
+    if(createDeriveSuite) {
+      // base proofs must be derived before they can be verified; disclose
+      // every claim so that the whole signature is checked
+      const selectivePointers = Object.keys(credential)
+        .filter(key => key !== '@context' && key !== 'proof')
+        .map(key => `/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+      credential = await vc.derive({
+        verifiableCredential: credential,
+        suite: createDeriveSuite({proofId: proof.id, selectivePointers}),
+        documentLoader
+      });
+    }
+    result = await vc.verifyCredential({
+      credential, suite, documentLoader,
+      // statuses were just issued and are not checked
+      checkStatus: async () => ({verified: true}),
+      // the credential may not be valid yet, so check it as of its start date
+      now: _getValidityDate({credential})
+    });
+  } catch(cause) {
+    _throwVerificationError({cause});
+  }
+  // only the result for `proof` matters when other proofs are present
+  const proofResult = result.results?.find(
+    ({proof: {proofValue}}) => proofValue === proof.proofValue);
+  if(!(result.verified && (proofResult?.verified ?? !proof.previousProof))) {
+    const [cause] = [].concat(proofResult?.error ?? result.error ?? []);
+    _throwVerificationError({
+      message: 'A proof does not verify: ' + (cause?.message ?? 'unknown'),
+      cause
+    });
+  }
+}
+
+function _getValidityDate({credential}) {
+  const {validFrom, issuanceDate, validUntil, expirationDate} = credential;
+  const date = validFrom ?? issuanceDate ?? validUntil ?? expirationDate;
+  return date === undefined ? new Date() : new Date(date);
+}
+
+function _throwVerificationError({
+  message = 'The issued credential could not be verified.', cause
+}) {
+  throw new BedrockError(message, {
+    name: 'AbortError',
+    details: {
+      httpStatusCode: 500,
+      problemType: 'verification-error',
+      public: true
+    },
+    cause
+  });
+}
@@ -2,8 +2,8 @@
  * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {
-  MAX_BLOCK_COUNT, MAX_BLOCK_SIZE, MAX_LIST_COUNT,
-  MAX_STATUS_LIST_OPTIONS
+  MAX_ASSERTION_METHOD_OPTIONS, MAX_BATCH_ISSUE_SIZE, MAX_BLOCK_COUNT,
+  MAX_BLOCK_SIZE, MAX_LIST_COUNT, MAX_STATUS_LIST_OPTIONS
 } from '../lib/constants.js';
 import {schemas} from '@bedrock/validation';
 
@@ -33,6 +33,40 @@ const zcapReferenceIds = {
   }
 };
 
+// `zcapReferenceIds` for a cryptosuite may also include zcaps for assertion
+// method keys that are only used during an activation window, e.g., to rotate
+// keys; the first active one is used instead of `assertionMethod`
+const cryptosuiteZcapReferenceIds = {
+  ...zcapReferenceIds,
+  properties: {
+    ...zcapReferenceIds.properties,
+    assertionMethods: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_ASSERTION_METHOD_OPTIONS,
+      items: {
+        type: 'object',
+        required: ['referenceId'],
+        anyOf: [{required: ['notBefore']}, {required: ['notAfter']}],
+        additionalProperties: false,
+        properties: {
+          referenceId: {
+            type: 'string'
+          },
+          notBefore: {
+            type: 'string',
+            format: 'date-time'
+          },
+          notAfter: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      }
+    }
+  }
+};
+
 const mandatoryPointers = {
   type: 'array',
   minItems: 0,
@@ -41,6 +75,32 @@ const mandatoryPointers = {
   }
 };
 
+// credential `type` => mandatory pointers for credentials of that type
+const mandatoryPointersByType = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: {
+    type: 'array',
+    minItems: 0,
+    items: {
+      type: 'string',
+      // JSON pointer (RFC 6901)
+      pattern: '^(/([^~/]|~[01])*)*$'
+    }
+  }
+};
+
+// Data Integrity proof `domain`
+const proofDomain = {
+  anyOf: [{
+    type: 'string'
+  }, {
+    type: 'array',
+    minItems: 1,
+    items: {type: 'string'}
+  }]
+};
+
 const cryptosuite = {
   title: 'Cryptosuite Options',
   type: 'object',
@@ -48,14 +108,8 @@ const cryptosuite = {
   additionalProperties: false,
   properties: {
     name: {
-      type: 'string',
-      // supported default suites in this version
-      enum: [
-        'Ed25519Signature2020',
-        'ecdsa-rdfc-2019', 'eddsa-rdfc-2022',
-        'ecdsa-jcs-2019', 'eddsa-jcs-2022',
-        'ecdsa-sd-2023', 'ecdsa-xi-2023', 'bbs-2023'
-      ]
+      type: 'string'
+      // `enum` of supported suites added from the suite registry on init
     },
     options: {
       title: 'Cryptosuite options',
@@ -65,10 +119,29 @@ const cryptosuite = {
         includeCreated: {
           type: 'boolean'
         },
-        mandatoryPointers
+        mandatoryPointers,
+        mandatoryPointersByType,
+        // default and maximum proof lifetimes, in seconds, used to set proof
+        // `expires`
+        expiresIn: {
+          type: 'integer',
+          minimum: 1
+        },
+        maxExpiresIn: {
+          type: 'integer',
+          minimum: 1
+        },
+        // proof options that, if set, cannot be set per request
+        domain: proofDomain,
+        challenge: {
+          type: 'string'
+        },
+        nonce: {
+          type: 'string'
+        }
       }
     },
-    zcapReferenceIds
+    zcapReferenceIds: cryptosuiteZcapReferenceIds
   }
 };
 
@@ -122,6 +195,59 @@ const envelope = {
   }
 };
 
+const languageObject = {
+  type: 'object',
+  required: ['@value'],
+  additionalProperties: false,
+  properties: {
+    '@value': {
+      type: 'string'
+    },
+    '@direction': {
+      type: 'string'
+    },
+    '@language': {
+      type: 'string'
+    }
+  }
+};
+
+const valueStringOrObject = {
+  anyOf: [{type: 'string'}, languageObject]
+};
+
+const languageValue = {
+  anyOf: [
+    valueStringOrObject,
+    {type: 'array', minItems: 1, items: valueStringOrObject}
+  ]
+};
+
+const issuerProfile = {
+  title: 'Issuer Profile',
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    name: languageValue,
+    description: languageValue,
+    image: {
+      anyOf: [{
+        type: 'string'
+      }, {
+        type: 'object',
+        required: ['id'],
+        additionalProperties: true,
+        properties: {
+          id: {
+            type: 'string'
+          }
+        }
+      }]
+    }
+  }
+};
+
 export const issueOptions = {
   title: 'Issue Options',
   type: 'object',
@@ -152,18 +278,45 @@ export const issueOptions = {
     },
     // embedded proof security
     cryptosuites,
+    // whether `cryptosuites` create a proof chain, where each proof references
+    // the previous one via `previousProof`, instead of a proof set
+    proofChain: {
+      type: 'boolean'
+    },
+    // whether each issued VC's proofs and envelope are verified before the VC
+    // is stored or returned
+    verifyAfterIssue: {
+      type: 'boolean'
+    },
     // envelope security
     envelope,
+    // display metadata added to the `issuer` of issued VCs
+    issuerProfile,
+    // validity periods of issued VCs, in seconds; `validFrom` and, if a
+    // period is set, `validUntil` are set when not given; VCs that are valid
+    // for longer than `maxPeriod` are rejected or, if `clamp` is set, have
+    // their `validUntil` reduced
+    validity: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        defaultPeriod: {
+          type: 'integer',
+          minimum: 1
+        },
+        maxPeriod: {
+          type: 'integer',
+          minimum: 1
+        },
+        clamp: {
+          type: 'boolean'
+        }
+      }
+    },
     // legacy
     suiteName: {
-      type: 'string',
-      // supported default suites in this version
-      enum: [
-        'Ed25519Signature2020',
-        'ecdsa-rdfc-2019', 'eddsa-rdfc-2022',
-        'ecdsa-jcs-2019', 'eddsa-jcs-2022',
-        'ecdsa-sd-2023', 'ecdsa-xi-2023', 'bbs-2023'
-      ]
+      type: 'string'
+      // `enum` of supported suites added from the suite registry on init
     }
   }
 };
@@ -248,6 +401,10 @@ export const statusListConfig = {
       properties: {
         createCredentialStatusList: {
           type: 'string'
+        },
+        // optional; enables updating credential statuses via the issuer
+        updateCredentialStatus: {
+          type: 'string'
         }
       }
     }
@@ -261,6 +418,56 @@ export const statusListOptions = {
   items: statusListConfig
 };
 
+// number of seconds used in issue policy validity restrictions
+const seconds = {
+  type: 'integer',
+  minimum: 0
+};
+
+export const issuePolicy = {
+  title: 'Issue Policy',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // credential `type`s that may be issued, `VerifiableCredential` is
+    // always allowed
+    allowedTypes: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: {type: 'string'}
+    },
+    // `@context` URLs that may be used, the VCDM base contexts are always
+    // allowed; embedded contexts are not allowed
+    allowedContexts: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: {type: 'string'}
+    },
+    // `credentialSubject` properties that may be set, `id` is always allowed
+    allowedSubjectProperties: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: {type: 'string'}
+    },
+    validity: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        // maximum seconds between `validFrom` (or now) and `validUntil`;
+        // `validUntil` is required when set
+        maxPeriod: seconds,
+        // maximum seconds `validFrom` may be before now
+        maxBackdate: seconds,
+        // maximum seconds `validFrom` may be after now
+        maxPostdate: seconds
+      }
+    }
+  }
+};
+
 const vcdmType = {
   title: 'VCDM Type',
   oneOf: [{
@@ -327,38 +534,62 @@ const vcdmTypedObjectSet = {
   }]
 };
 
-const languageObject = {
+export const unsecuredCredential = {
+  title: 'Unsecured Credential',
   type: 'object',
-  required: ['@value'],
-  additionalProperties: false,
+  additionalProperties: true,
+  required: ['@context', 'type'],
   properties: {
-    '@value': {
+    '@context': context,
+    type: vcdmType,
+    confidenceMethod: vcdmTypedObjectSet,
+    credentialSchema: vcdmTypedObjectSet,
+    credentialStatus: vcdmTypedObjectSet,
+    credentialSubject: vcdmObjectOrReferenceSet,
+    description: languageValue,
+    evidence: vcdmTypedObjectSet,
+    // `issuer` skipped, handled internally during issuance
+    name: languageValue,
+    proof: vcdmTypedObjectSet,
+    refreshService: vcdmTypedObjectSet,
+    relatedResource: vcdmObjectSet,
+    renderMethod: vcdmTypedObjectSet,
+    termsOfUse: vcdmTypedObjectSet,
+    validFrom: {
+      // date format is validated during issuance
       type: 'string'
     },
-    '@direction': {
+    validUntil: {
+      // date format is validated during issuance
       type: 'string'
     },
-    '@language': {
+    // VC 1.1 properties; date format is validated during issuance
+    issuanceDate: {
+      type: 'string'
+    },
+    expirationDate: {
       type: 'string'
     }
   }
 };
 
-const valueStringOrObject = {
-  anyOf: [{type: 'string'}, languageObject]
-};
-
-const languageValue = {
-  anyOf: [
-    valueStringOrObject,
-    {type: 'array', minItems: 1, items: valueStringOrObject}
-  ]
-};
-
 export const issueCredentialBody = {
   title: 'Issue Credential',
   type: 'object',
-  required: ['credential'],
+  // use only one of `credential` or `claims` (with `options.templateId`)
+  oneOf: [{
+    required: ['credential'],
+    not: {required: ['claims']},
+    properties: {
+      options: {not: {required: ['templateId']}}
+    }
+  }, {
+    required: ['claims', 'options'],
+    not: {required: ['credential']},
+    properties: {
+      options: {required: ['templateId']}
+    }
+  }],
   additionalProperties: false,
   properties: {
     options: {
@@ -368,10 +599,32 @@ export const issueCredentialBody = {
         credentialId: {
           type: 'string'
         },
+        // ID of a stored credential template to merge `claims` into
+        templateId: {
+          type: 'string'
+        },
+        // names of the configured cryptosuites to use; defaults to all
+        cryptosuites: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: {type: 'string'}
+        },
         mandatoryPointers,
         extraInformation: {
           type: 'string'
         },
+        // Data Integrity proof options
+        expires: {
+          type: 'string'
+        },
+        domain: proofDomain,
+        challenge: {
+          type: 'string'
+        },
+        nonce: {
+          type: 'string'
+        },
         // mdl issuance options
         mdl: {
           title: 'mDL Issuance Options',
@@ -387,39 +640,155 @@ export const issueCredentialBody = {
         }
       }
     },
+    credential: unsecuredCredential,
+    // claims to merge into the credential template given by
+    // `options.templateId`, used instead of `credential`
+    claims: {
+      type: 'object',
+      additionalProperties: true
+    }
+  }
+};
+
+export const updateCredentialStatusBody = {
+  title: 'Update Credential Status',
+  type: 'object',
+  required: ['credentialStatus'],
+  // use only one of `credentialId` or `credential.id`
+  oneOf: [
+    {required: ['credentialId']},
+    {required: ['credential']}
+  ],
+  additionalProperties: false,
+  properties: {
+    credentialId: {
+      type: 'string'
+    },
     credential: {
       type: 'object',
+      required: ['id'],
       additionalProperties: true,
-      required: ['@context', 'type'],
       properties: {
-        '@context': context,
-        type: vcdmType,
-        confidenceMethod: vcdmTypedObjectSet,
-        credentialSchema: vcdmTypedObjectSet,
-        credentialStatus: vcdmTypedObjectSet,
-        credentialSubject: vcdmObjectOrReferenceSet,
-        description: languageValue,
-        evidence: vcdmTypedObjectSet,
-        // `issuer` skipped, handled internally during issuance
-        name: languageValue,
-        proof: vcdmTypedObjectSet,
-        refreshService: vcdmTypedObjectSet,
-        relatedResource: vcdmObjectSet,
-        renderMethod: vcdmTypedObjectSet,
-        termsOfUse: vcdmTypedObjectSet,
-        validFrom: {
-          // FIXME: improve date validation
+        id: {
           type: 'string'
-        },
-        validUntil: {
-          // FIXME: improve date validation
+        }
+      }
+    },
+    credentialStatus: {
+      type: 'object',
+      required: ['type', 'statusPurpose'],
+      additionalProperties: false,
+      properties: {
+        type: {
           type: 'string'
         },
-        // VC 1.1 properties
-        issuanceDate: {
+        statusPurpose: {
+          type: 'string',
+          enum: statusPurposes
+        }
+      }
+    },
+    status: {
+      type: 'boolean'
+    }
+  }
+};
+
+export const listCredentialsQuery = {
+  title: 'List Credentials Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: {
+      type: 'string'
+    },
+    credentialSubjectId: {
+      type: 'string'
+    },
+    statusPurpose: {
+      type: 'string',
+      enum: statusPurposes
+    },
+    issuedAfter: {
+      type: 'string',
+      format: 'date-time'
+    },
+    issuedBefore: {
+      type: 'string',
+      format: 'date-time'
+    },
+    limit: {
+      type: 'string',
+      // 1-100
+      pattern: '^([1-9][0-9]?|100)$'
+    },
+    cursor: {
+      type: 'string'
+    }
+  }
+};
+
+export const deleteCredentialQuery = {
+  title: 'Delete Credential Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    tombstone: {
+      type: 'string',
+      enum: ['true', 'false']
+    }
+  }
+};
+
+export const issueCredentialsBatchBody = {
+  title: 'Issue Credentials Batch',
+  type: 'object',
+  required: ['items'],
+  additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_BATCH_ISSUE_SIZE,
+      // each item has the same shape as a single issue request body
+      items: issueCredentialBody
+    }
+  }
+};
+
+export const oid4vciCredentialRequestBody = {
+  title: 'OID4VCI Credential Request',
+  type: 'object',
+  additionalProperties: true,
+  properties: {
+    credential_configuration_id: {
+      type: 'string'
+    },
+    // used by earlier OID4VCI drafts instead of `credential_configuration_id`
+    format: {
+      type: 'string'
+    },
+    proofs: {
+      type: 'object',
+      additionalProperties: true,
+      properties: {
+        jwt: {
+          type: 'array',
+          minItems: 1,
+          items: {type: 'string'}
+        }
+      }
+    },
+    // used by earlier OID4VCI drafts instead of `proofs`
+    proof: {
+      type: 'object',
+      required: ['proof_type'],
+      additionalProperties: true,
+      properties: {
+        proof_type: {
           type: 'string'
         },
-        expirationDate: {
+        jwt: {
           type: 'string'
         }
       }
@@ -552,3 +921,76 @@ export function vDL() {
     }
   };
 }
+
+const sequence = {
+  title: 'sequence',
+  type: 'integer',
+  minimum: 0,
+  maximum: Number.MAX_SAFE_INTEGER - 1
+};
+
+const credentialTemplateBody = {
+  title: 'Credential Template Record',
+  type: 'object',
+  required: ['id', 'template'],
+  additionalProperties: false,
+  properties: {
+    id: {
+      title: 'Credential Template ID',
+      type: 'string'
+    },
+    template: {
+      type: 'object',
+      additionalProperties: true,
+      required: ['@context', 'type'],
+      properties: {
+        '@context': context,
+        type: vcdmType
+      }
+    }
+  }
+};
+export const createCredentialTemplateBody = {
+  ...credentialTemplateBody,
+  title: 'createCredentialTemplateBody'
+};
+export const updateCredentialTemplateBody = {
+  ...credentialTemplateBody,
+  required: ['id', 'template', 'sequence'],
+  properties: {
+    ...credentialTemplateBody.properties,
+    sequence
+  },
+  title: 'updateCredentialTemplateBody'
+};
+
+const credentialSchemaBody = {
+  title: 'Credential Schema Record',
+  type: 'object',
+  required: ['id', 'schema'],
+  additionalProperties: false,
+  properties: {
+    id: {
+      title: 'Credential Schema ID',
+      type: 'string'
+    },
+    // a JSON schema
+    schema: {
+      type: 'object',
+      additionalProperties: true
+    }
+  }
+};
+export const createCredentialSchemaBody = {
+  ...credentialSchemaBody,
+  title: 'createCredentialSchemaBody'
+};
+export const updateCredentialSchemaBody = {
+  ...credentialSchemaBody,
+  required: ['id', 'schema', 'sequence'],
+  properties: {
+    ...credentialSchemaBody.properties,
+    sequence
+  },
+  title: 'updateCredentialSchemaBody'
+};
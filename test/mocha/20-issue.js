@@ -1,17 +1,44 @@
 /*!
- * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {testBitstringStatusList} from './assertions/testBitstringStatusList.js';
+import {testCredentialSchemas} from './assertions/testCredentialSchemas.js';
+import {
+  testCredentialTemplates
+} from './assertions/testCredentialTemplates.js';
+import {
+  testCryptosuiteRegistry
+} from './assertions/testCryptosuiteRegistry.js';
+import {testDeleteCredential} from './assertions/testDeleteCredential.js';
+import {testGetMetadata} from './assertions/testGetMetadata.js';
+import {testIssueBatch} from './assertions/testIssueBatch.js';
+import {
+  testIssueContentNegotiation
+} from './assertions/testIssueContentNegotiation.js';
 import {testIssueCrashRecovery} from './assertions/testIssueCrashRecovery.js';
+import {testIssueIdempotency} from './assertions/testIssueIdempotency.js';
+import {testIssueJob} from './assertions/testIssueJob.js';
+import {testIssueOid4vci} from './assertions/testIssueOid4vci.js';
+import {testIssuePolicy} from './assertions/testIssuePolicy.js';
+import {testIssuerProfile} from './assertions/testIssuerProfile.js';
 import {testIssueSd} from './assertions/testIssueSd.js';
 import {testIssueWithOAuth2} from './assertions/issueWithOAuth2.js';
 import {testIssueWithoutStatus} from './assertions/issueWithoutStatus.js';
 import {testIssueXi} from './assertions/testIssueXi.js';
+import {testKeyCache} from './assertions/testKeyCache.js';
+import {testKeyRotation} from './assertions/testKeyRotation.js';
+import {testListCredentials} from './assertions/testListCredentials.js';
+import {testProblemDetails} from './assertions/testProblemDetails.js';
+import {testProofChain} from './assertions/testProofChain.js';
+import {testProofOptions} from './assertions/testProofOptions.js';
 import {testStatusConcurrency} from './assertions/testStatusConcurrency.js';
 import {testStatusScaling} from './assertions/testStatusScaling.js';
 import {
   testTerseBitstringStatusList
 } from './assertions/testTerseBitstringStatusList.js';
+import {testValidateCredential} from './assertions/testValidateCredential.js';
+import {testValidity} from './assertions/testValidity.js';
+import {testVerifyAfterIssue} from './assertions/testVerifyAfterIssue.js';
 
 describe('issue', () => {
   const suites = {
@@ -132,6 +159,27 @@ describe('issue', () => {
       // the results, only suites marked "general" run these tests
       if(options.tags?.includes('general')) {
         testIssueWithOAuth2(options);
+        testIssueBatch(options);
+        testIssueContentNegotiation(options);
+        testIssueJob(options);
+        testIssueIdempotency(options);
+        testIssueOid4vci(options);
+        testGetMetadata(options);
+        testValidateCredential(options);
+        testCredentialTemplates(options);
+        testCredentialSchemas(options);
+        testIssuePolicy(options);
+        testValidity(options);
+        testIssuerProfile(options);
+        testCryptosuiteRegistry();
+        testProofChain(options);
+        testProofOptions(options);
+        testVerifyAfterIssue(options);
+        testKeyRotation(options);
+        testKeyCache(options);
+        testProblemDetails(options);
+        testListCredentials(options);
+        testDeleteCredential(options);
         testIssueCrashRecovery(options);
         testStatusScaling(options);
         testStatusConcurrency(options);
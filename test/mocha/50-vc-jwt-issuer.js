@@ -131,3 +131,111 @@ describe('issue using VC-JWT format', () => {
     payload.vc.should.deep.equal(expectedCredential);
   });
 });
+
+describe('issue using VC-JWT format with verification after issuance', () => {
+  let capabilityAgent;
+  let verifyingIssuerId;
+  let verifyingIssuerRootZcap;
+  let mismatchedIssuerId;
+  let mismatchedIssuerRootZcap;
+  before(async () => {
+    // use envelope-based security
+    const envelope = {
+      mediaType: 'application/jwt',
+      algorithm: 'P-256'
+    };
+
+    // generate a `did:web` DID for the issuer
+    const {host} = bedrock.config.server;
+    const localId = uuid();
+    const did = `did:web:${encodeURIComponent(host)}:did-web:${localId}`;
+
+    // provision dependencies
+    let zcaps;
+    ({capabilityAgent, zcaps} = await helpers.provisionDependencies(
+      {did, envelope, status: false, zcaps: true}));
+
+    // create `did:web` DID document for issuer
+    const description = await envelope.assertionMethodKey.getKeyDescription();
+    delete description['@context'];
+    description.controller = did;
+    mockData.didWebDocuments.set(localId, {
+      '@context': [
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/multikey/v1'
+      ],
+      id: did,
+      verificationMethod: [description],
+      assertionMethod: [description.id]
+    });
+
+    // create `did:web` DID document for another issuer that does not list
+    // the key as an assertion method
+    const otherLocalId = uuid();
+    const otherDid =
+      `did:web:${encodeURIComponent(host)}:did-web:${otherLocalId}`;
+    mockData.didWebDocuments.set(otherLocalId, {
+      '@context': ['https://www.w3.org/ns/did/v1'],
+      id: otherDid,
+      assertionMethod: []
+    });
+
+    // create issuer instance that verifies issued VCs
+    const createIssuerConfig = ({issuer}) => helpers.createIssuerConfig({
+      capabilityAgent, zcaps,
+      issueOptions: {
+        issuer,
+        envelope: {
+          mediaType: envelope.mediaType,
+          zcapReferenceIds: envelope.zcapReferenceIds
+        },
+        verifyAfterIssue: true
+      }
+    });
+    ({id: verifyingIssuerId} = await createIssuerConfig({issuer: did}));
+    verifyingIssuerRootZcap =
+      `urn:zcap:root:${encodeURIComponent(verifyingIssuerId)}`;
+
+    // create issuer instance whose zcap is for a key of another issuer
+    ({id: mismatchedIssuerId} = await createIssuerConfig({issuer: otherDid}));
+    mismatchedIssuerRootZcap =
+      `urn:zcap:root:${encodeURIComponent(mismatchedIssuerId)}`;
+  });
+
+  async function _issue({issuerId, rootZcap}) {
+    const credential = structuredClone(mockCredential);
+    credential.id = `urn:uuid:${uuid()}`;
+    let error;
+    let result;
+    try {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      result = await zcapClient.write({
+        url: `${issuerId}/credentials/issue`,
+        capability: rootZcap,
+        json: {credential}
+      });
+    } catch(e) {
+      error = e;
+    }
+    return {error, result};
+  }
+
+  it('issues a VC-JWT that verifies', async () => {
+    const {error, result} = await _issue({
+      issuerId: verifyingIssuerId, rootZcap: verifyingIssuerRootZcap
+    });
+    assertNoError(error);
+    const {verifiableCredential} = result.data;
+    verifiableCredential.id.should.include('data:application/jwt,');
+  });
+  it('fails to issue a VC-JWT signed with another issuer\'s key', async () => {
+    const {error, result} = await _issue({
+      issuerId: mismatchedIssuerId, rootZcap: mismatchedIssuerRootZcap
+    });
+    should.not.exist(result);
+    should.exist(error);
+    error.status.should.equal(500);
+    error.data.type.should.equal('AbortError');
+    error.data.details.problemType.should.equal('verification-error');
+  });
+});
@@ -174,6 +174,111 @@ describe('issue mDL', () => {
   });
 });
 
+describe('issue mDL with verification after issuance', () => {
+  let capabilityAgent;
+  let verifyingIssuerId;
+  let verifyingIssuerRootZcap;
+  let mismatchedIssuerId;
+  let mismatchedIssuerRootZcap;
+  before(async () => {
+    // use envelope-based security
+    const envelope = {
+      mediaType: 'application/mdl',
+      algorithm: 'P-256'
+    };
+
+    // generate a `did:web` DID for the issuer
+    const {host} = bedrock.config.server;
+    const did = `did:web:${encodeURIComponent(host)}:did-web:${uuid()}`;
+
+    // provision dependencies
+    let zcaps;
+    ({capabilityAgent, zcaps} = await helpers.provisionDependencies(
+      {did, envelope, status: false, zcaps: true}));
+    const description = await envelope.assertionMethodKey.getKeyDescription();
+    const issuerKeyPair = await EcdsaMultikey.from(description);
+    const issuerPublicJwk = await EcdsaMultikey.toJwk({keyPair: issuerKeyPair});
+
+    // create issuer instance that verifies issued VCs
+    const createIssuerConfig = ({issuerCertificateChain}) =>
+      helpers.createIssuerConfig({
+        capabilityAgent, zcaps,
+        issueOptions: {
+          issuer: did,
+          envelope: {
+            mediaType: envelope.mediaType,
+            options: {issuerCertificateChain},
+            zcapReferenceIds: envelope.zcapReferenceIds
+          },
+          verifyAfterIssue: true
+        }
+      });
+    const {leaf} = await generateCertificateChain({
+      leafConfig: {
+        cA: true,
+        keyPairInfo: {keyPair: issuerKeyPair, jwk: issuerPublicJwk}
+      }
+    });
+    ({id: verifyingIssuerId} = await createIssuerConfig({
+      issuerCertificateChain: [leaf.pemCertificate]
+    }));
+    verifyingIssuerRootZcap =
+      `urn:zcap:root:${encodeURIComponent(verifyingIssuerId)}`;
+
+    // create issuer instance whose certificate is for another issuer's key
+    const {leaf: otherLeaf} = await generateCertificateChain({
+      leafConfig: {cA: true}
+    });
+    ({id: mismatchedIssuerId} = await createIssuerConfig({
+      issuerCertificateChain: [otherLeaf.pemCertificate]
+    }));
+    mismatchedIssuerRootZcap =
+      `urn:zcap:root:${encodeURIComponent(mismatchedIssuerId)}`;
+  });
+
+  async function _issue({issuerId, rootZcap}) {
+    const {publicJwk: devicePublicJwk} = await generateDeviceKeyPair();
+    const credential = structuredClone(mockVDL);
+    let error;
+    let result;
+    try {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      result = await zcapClient.write({
+        url: `${issuerId}/credentials/issue`,
+        capability: rootZcap,
+        json: {
+          credential,
+          options: {
+            mdl: {devicePublicJwk}
+          }
+        }
+      });
+    } catch(e) {
+      error = e;
+    }
+    return {error, result};
+  }
+
+  it('issues an mDL that verifies', async () => {
+    const {error, result} = await _issue({
+      issuerId: verifyingIssuerId, rootZcap: verifyingIssuerRootZcap
+    });
+    assertNoError(error);
+    const {verifiableCredential} = result.data;
+    verifiableCredential.id.should.include('data:application/mdl;base64,');
+  });
+  it('fails to issue an mDL signed with another issuer\'s key', async () => {
+    const {error, result} = await _issue({
+      issuerId: mismatchedIssuerId, rootZcap: mismatchedIssuerRootZcap
+    });
+    should.not.exist(result);
+    should.exist(error);
+    error.status.should.equal(500);
+    error.data.type.should.equal('AbortError');
+    error.data.details.problemType.should.equal('verification-error');
+  });
+});
+
 function _deepMapToObject(value) {
   // handle native Map
   if(value instanceof Map) {
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as assertions from './index.js';
 import * as helpers from '../helpers.js';
@@ -59,7 +59,8 @@ function testStatusPurpose({
         type: 'BitstringStatusList',
         statusPurpose,
         zcapReferenceIds: {
-          createCredentialStatusList: 'createCredentialStatusList'
+          createCredentialStatusList: 'createCredentialStatusList',
+          updateCredentialStatus: 'updateCredentialStatus'
         }
       }];
       const {cryptosuites} = depOptions;
@@ -296,7 +297,75 @@ function testStatusPurpose({
           statusInfo.status.should.equal(true);
           statusInfo.credentialStatus.statusPurpose.should.equal(statusPurpose);
         });
+        it(`updates "${statusPurpose}" status via issuer`, async () => {
+          // issue a new VC to update
+          const credential = structuredClone(mockCredential);
+          credential.id = `urn:uuid:${uuid()}`;
+          const {data: {verifiableCredential}} = await zcapClient.write({
+            url: `${bslInstance.issuerId}/credentials/issue`,
+            capability: bslInstance.rootZcap,
+            json: {credential, options: issueOptions}
+          });
+          let statusInfo = await helpers.getCredentialStatus(
+            {verifiableCredential, statusPurpose});
+          statusInfo.status.should.equal(false);
+
+          // set status using only the credential ID, type, and purpose
+          let error;
+          try {
+            await zcapClient.write({
+              url: `${bslInstance.issuerId}/credentials/status`,
+              capability: bslInstance.rootZcap,
+              json: {
+                credentialId: verifiableCredential.id,
+                credentialStatus: {
+                  type: 'BitstringStatusListEntry',
+                  statusPurpose
+                },
+                status: true
+              }
+            });
+          } catch(e) {
+            error = e;
+          }
+          assertNoError(error);
+
+          // force refresh of new SLC
+          await zcapClient.write({
+            url: `${statusInfo.statusListCredential}?refresh=true`,
+            capability: bslInstance.statusRootZcap,
+            json: {}
+          });
+
+          // check status of VC has changed
+          statusInfo = await helpers.getCredentialStatus(
+            {verifiableCredential, statusPurpose});
+          statusInfo.status.should.equal(true);
+        });
       }
+      it('fails to update status of an unknown credential', async () => {
+        const [purpose] = purposes;
+        let error;
+        try {
+          await zcapClient.write({
+            url: `${bslInstance.issuerId}/credentials/status`,
+            capability: bslInstance.rootZcap,
+            json: {
+              credentialId: `urn:uuid:${uuid()}`,
+              credentialStatus: {
+                type: 'BitstringStatusListEntry',
+                statusPurpose: purpose
+              },
+              status: true
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(404);
+        error.data.name.should.equal('NotFoundError');
+      });
     });
   });
 }
@@ -0,0 +1,174 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testCredentialSchemas({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('credential schemas', function() {
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    const schemaId = `https://example.com/schemas/${uuid()}.json`;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ no status list options
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+
+      // store a schema that requires a degree name
+      await zcapClient.write({
+        url: `${noStatusListIssuerId}/credential-schemas`,
+        capability: noStatusListIssuerRootZcap,
+        json: {id: schemaId, schema: _createSchema({required: ['name']})}
+      });
+    });
+
+    function _createSchema({required}) {
+      return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        required: ['credentialSubject'],
+        properties: {
+          credentialSubject: {
+            type: 'object',
+            required: ['degree'],
+            properties: {
+              degree: {
+                type: 'object',
+                required,
+                properties: {
+                  name: {type: 'string'}
+                }
+              }
+            }
+          }
+        }
+      };
+    }
+
+    async function _issue({credential}) {
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.credentialSchema = {id: schemaId, type: 'JsonSchema'};
+      return zcapClient.write({
+        url: `${noStatusListIssuerId}/credentials/issue`,
+        capability: noStatusListIssuerRootZcap,
+        json: {credential, options: issueOptions}
+      });
+    }
+
+    it('issues a VC that conforms to its credential schema', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      let error;
+      let result;
+      try {
+        result = await _issue({credential});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result.data?.verifiableCredential?.proof);
+    });
+    it('fails to issue a VC that violates its credential schema', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      delete credential.credentialSubject.degree.name;
+      let error;
+      let result;
+      try {
+        result = await _issue({credential});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.details.problemType.should.equal(
+        'credential-schema-violation');
+      error.data.details.credentialSchema.should.equal(schemaId);
+      error.data.details.errors.should.be.an('array');
+    });
+    it('validates a VC against an updated credential schema', async () => {
+      // validate against the schema once before it is updated
+      await _issue({credential: structuredClone(mockCredentialV2)});
+
+      // update the schema to also require a degree nickname
+      await zcapClient.write({
+        url: `${noStatusListIssuerId}/credential-schemas/` +
+          encodeURIComponent(schemaId),
+        capability: noStatusListIssuerRootZcap,
+        json: {
+          id: schemaId,
+          schema: _createSchema({required: ['name', 'nickname']}),
+          sequence: 1
+        }
+      });
+
+      const credential = structuredClone(mockCredentialV2);
+      let error;
+      let result;
+      try {
+        result = await _issue({credential});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.details.problemType.should.equal(
+        'credential-schema-violation');
+    });
+    it('fails to issue a VC with an unknown credential schema', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.credentialSchema = {
+        id: `https://example.com/schemas/${uuid()}.json`,
+        type: 'JsonSchema'
+      };
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {credential, options: issueOptions}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.details.problemType.should.equal(
+        'credential-schema-not-found');
+    });
+  });
+}
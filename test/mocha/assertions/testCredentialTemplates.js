@@ -0,0 +1,211 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testCredentialTemplates({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('credential templates', function() {
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    let templatesUrl;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ no status list options
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      templatesUrl = `${noStatusListIssuerId}/credential-templates`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    function _createTemplate() {
+      const template = structuredClone(mockCredentialV2);
+      delete template.id;
+      delete template.issuer;
+      delete template.credentialSubject.id;
+      return template;
+    }
+
+    async function _issue({templateId, claims}) {
+      return zcapClient.write({
+        url: `${noStatusListIssuerId}/credentials/issue`,
+        capability: noStatusListIssuerRootZcap,
+        json: {claims, options: {...issueOptions, templateId}}
+      });
+    }
+
+    it('creates, gets, updates, and deletes a template', async () => {
+      const id = `urn:uuid:${uuid()}`;
+      const template = _createTemplate();
+
+      // create template
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: templatesUrl,
+          capability: noStatusListIssuerRootZcap,
+          json: {id, template}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(201);
+      result.data.should.deep.equal({id, template, sequence: 0});
+
+      // get template
+      const url = `${templatesUrl}/${encodeURIComponent(id)}`;
+      result = await zcapClient.read({
+        url, capability: noStatusListIssuerRootZcap
+      });
+      result.data.should.deep.equal({id, template, sequence: 0});
+
+      // update template
+      template.name = 'Degree';
+      result = await zcapClient.write({
+        url, capability: noStatusListIssuerRootZcap,
+        json: {id, template, sequence: 1}
+      });
+      result.data.should.deep.equal({id, template, sequence: 1});
+
+      // delete template
+      result = await zcapClient.request({
+        url, capability: noStatusListIssuerRootZcap, method: 'delete',
+        action: 'write'
+      });
+      result.status.should.equal(204);
+
+      // template should no longer be found
+      result = undefined;
+      try {
+        result = await zcapClient.read({
+          url, capability: noStatusListIssuerRootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+    });
+    it('issues a VC by merging claims into a template', async () => {
+      const templateId = `urn:uuid:${uuid()}`;
+      const template = _createTemplate();
+      await zcapClient.write({
+        url: templatesUrl,
+        capability: noStatusListIssuerRootZcap,
+        json: {id: templateId, template}
+      });
+
+      const subjectId = `did:example:${uuid()}`;
+      const claims = {
+        id: `urn:uuid:${uuid()}`,
+        credentialSubject: {id: subjectId}
+      };
+      let error;
+      let result;
+      try {
+        result = await _issue({templateId, claims});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      verifiableCredential['@context'].should.deep.equal(
+        template['@context']);
+      verifiableCredential.type.should.deep.equal(template.type);
+      verifiableCredential.id.should.equal(claims.id);
+      verifiableCredential.credentialSubject.should.deep.equal({
+        id: subjectId,
+        degree: template.credentialSubject.degree
+      });
+      should.exist(verifiableCredential.proof);
+    });
+    it('fails to issue using an unknown template', async () => {
+      let error;
+      let result;
+      try {
+        result = await _issue({
+          templateId: `urn:uuid:${uuid()}`,
+          claims: {credentialSubject: {id: `did:example:${uuid()}`}}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+    it('fails to issue with both a credential and claims', async () => {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {
+            credential: structuredClone(mockCredentialV2),
+            claims: {},
+            options: {templateId: `urn:uuid:${uuid()}`}
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('ValidationError');
+    });
+    it('fails to issue with a credential and a template', async () => {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {
+            credential: structuredClone(mockCredentialV2),
+            options: {templateId: `urn:uuid:${uuid()}`}
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('ValidationError');
+    });
+  });
+}
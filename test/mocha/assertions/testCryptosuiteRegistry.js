@@ -0,0 +1,94 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredential = require('../mock-credential.json');
+
+// suites registered in `test.js`
+const TEST_SUITE_NAME = 'test-ed25519-signature-2020';
+const TEST_P256_SUITE_NAME = 'test-p256-only';
+
+export function testCryptosuiteRegistry() {
+  describe('cryptosuite registry', function() {
+    let capabilityAgent;
+    let zcapClient;
+
+    async function _createInstance({name}) {
+      const depOptions = {
+        cryptosuites: [{name, algorithm: 'Ed25519'}],
+        zcaps: true
+      };
+      const {
+        issuer, zcaps, capabilityAgent: agent
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+      capabilityAgent = agent;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const {id} = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      return {id, rootZcap: `urn:zcap:root:${encodeURIComponent(id)}`};
+    }
+
+    async function _issue({instance}) {
+      const credential = structuredClone(mockCredential);
+      credential.id = `urn:uuid:${uuid()}`;
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${instance.id}/credentials/issue`,
+          capability: instance.rootZcap,
+          json: {credential}
+        });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    it('issues a VC using a registered suite', async () => {
+      const instance = await _createInstance({name: TEST_SUITE_NAME});
+      const {error, result} = await _issue({instance});
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      verifiableCredential.proof.type.should.equal('Ed25519Signature2020');
+
+      // registered suite is included in metadata
+      const {data: metadata} = await zcapClient.read({
+        url: `${instance.id}/metadata`,
+        capability: instance.rootZcap
+      });
+      metadata.cryptosuites.should.deep.equal([{name: TEST_SUITE_NAME}]);
+    });
+    it('fails to create an instance with an unregistered suite', async () => {
+      let error;
+      try {
+        await _createInstance({name: 'unregistered-suite'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('ValidationError');
+    });
+    it('fails to create an instance when the suite does not support the key',
+      async () => {
+        let error;
+        try {
+          await _createInstance({name: TEST_P256_SUITE_NAME});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(400);
+        error.data.name.should.equal('DataError');
+      });
+  });
+}
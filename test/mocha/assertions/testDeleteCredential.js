@@ -0,0 +1,173 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {setTimeout} from 'node:timers/promises';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testDeleteCredential({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('delete credential', function() {
+    let bslInstance;
+    let zcapClient;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ bitstring status list options so that
+      // issued VCs are stored
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({credentialId, headers}) {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = credentialId;
+      const {data} = await zcapClient.write({
+        url: `${bslInstance.issuerId}/credentials/issue`,
+        capability: bslInstance.rootZcap,
+        headers,
+        json: {credential, options: issueOptions}
+      });
+      return data.verifiableCredential ?? data;
+    }
+
+    async function _delete({credentialId, query = ''}) {
+      const url = `${bslInstance.issuerId}/credentials/` +
+        `${encodeURIComponent(credentialId)}${query}`;
+      return zcapClient.request({
+        url, capability: bslInstance.rootZcap, method: 'delete',
+        action: 'write'
+      });
+    }
+
+    async function _get({credentialId}) {
+      const url = `${bslInstance.issuerId}/credentials/` +
+        encodeURIComponent(credentialId);
+      return zcapClient.read({url, capability: bslInstance.rootZcap});
+    }
+
+    for(const query of ['', '?tombstone=false']) {
+      it(`deletes a stored credential${query}`, async () => {
+        const credentialId = `urn:uuid:${uuid()}`;
+        await _issue({credentialId});
+
+        let error;
+        let result;
+        try {
+          result = await _delete({credentialId, query});
+        } catch(e) {
+          error = e;
+        }
+        assertNoError(error);
+        result.status.should.equal(204);
+
+        // credential should no longer be found
+        result = undefined;
+        try {
+          result = await _get({credentialId});
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(result);
+        should.exist(error);
+        error.status.should.equal(404);
+
+        // the same credential ID can be used again
+        const verifiableCredential = await _issue({credentialId});
+        verifiableCredential.id.should.equal(credentialId);
+      });
+    }
+    it('erases a deleted credential\'s idempotent response', async () => {
+      const credentialId = `urn:uuid:${uuid()}`;
+      const headers = {'idempotency-key': uuid()};
+      await _issue({credentialId, headers});
+      await _delete({credentialId});
+
+      // retrying the request must neither return the VC nor issue another
+      let error;
+      let result;
+      try {
+        result = await _issue({credentialId, headers});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(410);
+    });
+    it('erases a deleted credential\'s issuance job', async () => {
+      const credentialId = `urn:uuid:${uuid()}`;
+      const {id: jobUrl} = await _issue({
+        credentialId, headers: {prefer: 'respond-async'}
+      });
+      let job;
+      for(let i = 0; i < 100; ++i) {
+        ({data: job} = await zcapClient.read({
+          url: jobUrl, capability: bslInstance.rootZcap
+        }));
+        if(job.status !== 'pending') {
+          break;
+        }
+        await setTimeout(100);
+      }
+      job.status.should.equal('completed');
+      await _delete({credentialId});
+
+      let error;
+      let result;
+      try {
+        result = await zcapClient.read({
+          url: jobUrl, capability: bslInstance.rootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+    });
+    it('fails to delete an unknown credential', async () => {
+      let error;
+      let result;
+      try {
+        result = await _delete({credentialId: `urn:uuid:${uuid()}`});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+    });
+  });
+}
@@ -0,0 +1,71 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+
+export function testGetMetadata({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('get metadata', function() {
+    let bslInstance;
+    let zcapClient;
+    let issuerId;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+      issuerId = issuer;
+
+      // create issuer instance w/ bitstring status list options
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+    it('gets what an issuer instance supports', async () => {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.read({
+          url: `${bslInstance.issuerId}/metadata`,
+          capability: bslInstance.rootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {data} = result;
+      data.issuer.should.equal(issuerId);
+      data.cryptosuites.should.deep.equal([{name: suiteName}]);
+      data.envelopes.should.deep.equal([]);
+      data.statusLists.should.deep.equal([{
+        type: 'BitstringStatusList',
+        statusPurpose: ['revocation'],
+        updateCredentialStatus: false
+      }]);
+      data.options.should.include.members(['credentialId', 'mdl']);
+      data.maxCredentialSize.should.be.a('number');
+      data.maxBatchSize.should.be.a('number');
+    });
+  });
+}
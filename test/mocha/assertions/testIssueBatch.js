@@ -0,0 +1,159 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as assertions from './index.js';
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testIssueBatch({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('issue batch', function() {
+    let issuer;
+    let capabilityAgent;
+    let zcaps;
+    let bslInstance;
+    before(async () => {
+      // provision dependencies
+      ({issuer, capabilityAgent, zcaps} = await helpers.provisionDependencies({
+        ...depOptions, status: false}));
+
+      // create issuer instance w/ bitstring status list options
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+    });
+    it('issues a batch of credentials w/ "credentialStatus"', async () => {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const items = [];
+      for(let i = 0; i < 5; ++i) {
+        const credential = structuredClone(mockCredentialV2);
+        credential.id = `urn:uuid:${uuid()}`;
+        items.push({credential, options: issueOptions});
+      }
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue-batch`,
+          capability: bslInstance.rootZcap,
+          json: {items}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(200);
+      should.exist(result.data?.items);
+      result.data.items.should.be.an('array');
+      result.data.items.length.should.equal(items.length);
+      const statusListIndexes = [];
+      for(const [i, item] of result.data.items.entries()) {
+        should.not.exist(item.error);
+        const {verifiableCredential} = item;
+        assertions.assertVerifiableCredential({verifiableCredential});
+        verifiableCredential.id.should.equal(items[i].credential.id);
+        should.exist(verifiableCredential.credentialStatus);
+        statusListIndexes.push(parseInt(
+          verifiableCredential.credentialStatus.statusListIndex, 10));
+        await assertions.assertStoredCredential({
+          configId: bslInstance.issuerId,
+          credentialId: verifiableCredential.id,
+          zcapClient,
+          capability: bslInstance.rootZcap,
+          expectedCredential: verifiableCredential
+        });
+      }
+      // every VC must have been assigned the next status list index from the
+      // same list shard
+      for(const [i, index] of statusListIndexes.entries()) {
+        index.should.equal(statusListIndexes[0] + i);
+      }
+    });
+    it('returns an error for only the items that fail', async () => {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const badCredential = structuredClone(mockCredentialV2);
+      badCredential.id = `urn:uuid:${uuid()}`;
+      badCredential.credentialSubject.undefinedTerm = 'notDefinedInContext';
+      const lastCredential = structuredClone(mockCredentialV2);
+      lastCredential.id = `urn:uuid:${uuid()}`;
+      const items = [
+        {credential, options: issueOptions},
+        {credential: badCredential, options: issueOptions},
+        {credential: lastCredential, options: issueOptions}
+      ];
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue-batch`,
+          capability: bslInstance.rootZcap,
+          json: {items}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.data.items.length.should.equal(3);
+      const [first, second, third] = result.data.items;
+      should.not.exist(first.error);
+      assertions.assertVerifiableCredential({
+        verifiableCredential: first.verifiableCredential
+      });
+      should.not.exist(second.verifiableCredential);
+      should.exist(second.error);
+      second.error.name.should.equal('DataError');
+      second.error.details.error.name.should.equal('jsonld.ValidationError');
+      // the status list index assigned to the failed item is reused
+      should.not.exist(third.error);
+      const [firstIndex, thirdIndex] = [first, third].map(
+        ({verifiableCredential: {credentialStatus: {statusListIndex}}}) =>
+          parseInt(statusListIndex, 10));
+      thirdIndex.should.equal(firstIndex + 1);
+    });
+    it('fails to issue an empty batch', async () => {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue-batch`,
+          capability: bslInstance.rootZcap,
+          json: {items: []}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(result);
+      error.status.should.equal(400);
+      error.data.name.should.equal('ValidationError');
+    });
+  });
+}
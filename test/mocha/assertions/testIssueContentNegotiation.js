@@ -0,0 +1,149 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testIssueContentNegotiation({suiteName, algorithm}) {
+  describe('issue with content negotiation', function() {
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    before(async () => {
+      // use two cryptosuites and an envelope for the same issuer DID
+      const cryptosuites = [{
+        name: suiteName,
+        algorithm
+      }, {
+        name: 'ecdsa-rdfc-2019',
+        algorithm: 'P-256'
+      }];
+      const envelope = {
+        mediaType: 'application/jwt',
+        algorithm: 'P-256'
+      };
+
+      // generate a `did:web` DID for the issuer
+      const {host} = bedrock.config.server;
+      const did = `did:web:${encodeURIComponent(host)}:did-web:${uuid()}`;
+
+      // provision dependencies
+      const {capabilityAgent, zcaps} = await helpers.provisionDependencies({
+        did, cryptosuites, envelope, status: false, zcaps: true
+      });
+
+      // create issuer instance w/ no status list options
+      const issueOptions = {
+        ...helpers.createIssueOptions({issuer: did, cryptosuites}),
+        envelope: {
+          mediaType: envelope.mediaType,
+          zcapReferenceIds: envelope.zcapReferenceIds
+        }
+      };
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({accept, options = {}}) {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const headers = accept ? {accept} : {};
+      const {data: {verifiableCredential}} = await zcapClient.write({
+        url: `${noStatusListIssuerId}/credentials/issue`,
+        capability: noStatusListIssuerRootZcap,
+        headers,
+        json: {credential, options}
+      });
+      return verifiableCredential;
+    }
+
+    it('secures a VC with every configured method by default', async () => {
+      const verifiableCredential = await _issue({});
+      verifiableCredential.type.should.equal('EnvelopedVerifiableCredential');
+      verifiableCredential.id.should.match(/^data:application\/jwt,/);
+    });
+    it('issues a data integrity VC for "application/vc+ld+json"', async () => {
+      const verifiableCredential = await _issue({
+        accept: 'application/vc+ld+json'
+      });
+      should.exist(verifiableCredential.proof);
+      verifiableCredential.proof.should.be.an('array');
+      verifiableCredential.proof.map(({cryptosuite}) => cryptosuite)
+        .should.have.members([suiteName, 'ecdsa-rdfc-2019']);
+    });
+    it('issues a VC with only selected cryptosuites', async () => {
+      const verifiableCredential = await _issue({
+        accept: 'application/vc+ld+json',
+        options: {cryptosuites: ['ecdsa-rdfc-2019']}
+      });
+      should.exist(verifiableCredential.proof);
+      verifiableCredential.proof.cryptosuite.should.equal('ecdsa-rdfc-2019');
+    });
+    it('issues an enveloped VC for "application/jwt"', async () => {
+      const verifiableCredential = await _issue({accept: 'application/jwt'});
+      verifiableCredential.type.should.equal('EnvelopedVerifiableCredential');
+      verifiableCredential.id.should.match(/^data:application\/jwt,/);
+      const credential = helpers.parseEnvelope({verifiableCredential});
+      should.not.exist(credential.proof);
+    });
+    it('issues a VC as the most preferred media type', async () => {
+      const verifiableCredential = await _issue({
+        accept: 'application/jwt;q=0.5, application/vc+ld+json'
+      });
+      should.exist(verifiableCredential.proof);
+      verifiableCredential.proof.should.be.an('array');
+    });
+    it('does not issue a VC as an excluded media type', async () => {
+      const verifiableCredential = await _issue({
+        accept: 'application/jwt;q=0, */*'
+      });
+      should.exist(verifiableCredential.proof);
+      verifiableCredential.type.should.not.equal(
+        'EnvelopedVerifiableCredential');
+    });
+    it('fails to issue a VC as an unacceptable media type', async () => {
+      let error;
+      try {
+        await _issue({accept: 'text/html'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(406);
+      error.data.name.should.equal('NotSupportedError');
+    });
+    it('fails to issue using an unconfigured cryptosuite', async () => {
+      let error;
+      try {
+        await _issue({options: {cryptosuites: ['bbs-2023']}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('NotSupportedError');
+    });
+    it('fails to issue using an unconfigured envelope', async () => {
+      let error;
+      try {
+        await _issue({accept: 'application/mdl'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(406);
+      error.data.name.should.equal('NotSupportedError');
+    });
+  });
+}
@@ -0,0 +1,146 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testIssueIdempotency({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('issue w/ "Idempotency-Key"', function() {
+    let bslInstance;
+    let zcapClient;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ bitstring status list options
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({credential, idempotencyKey, headers = {}}) {
+      const options = {...issueOptions, credentialId: credential.id};
+      return zcapClient.write({
+        url: `${bslInstance.issuerId}/credentials/issue`,
+        capability: bslInstance.rootZcap,
+        headers: {...headers, 'idempotency-key': idempotencyKey},
+        json: {credential, options}
+      });
+    }
+
+    it('returns the original VC for a retried request', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const idempotencyKey = uuid();
+      const {data: first} = await _issue({credential, idempotencyKey});
+
+      // retrying would otherwise fail with a duplicate `credentialId`
+      let error;
+      let result;
+      try {
+        result = await _issue({credential, idempotencyKey});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(201);
+      result.data.should.deep.equal(first);
+    });
+    it('fails to reuse a key for a different request', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const idempotencyKey = uuid();
+      await _issue({credential, idempotencyKey});
+
+      const otherCredential = structuredClone(mockCredentialV2);
+      otherCredential.id = `urn:uuid:${uuid()}`;
+      let error;
+      let result;
+      try {
+        result = await _issue({credential: otherCredential, idempotencyKey});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(422);
+      error.data.name.should.equal('DataError');
+    });
+    it('fails to reuse a key with a different "Prefer" header', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const idempotencyKey = uuid();
+      await _issue({credential, idempotencyKey});
+
+      let error;
+      let result;
+      try {
+        result = await _issue({
+          credential, idempotencyKey, headers: {prefer: 'respond-async'}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(422);
+      error.data.name.should.equal('DataError');
+    });
+    it('does not return an expired response', async () => {
+      const {idempotency} = bedrock.config['vc-issuer'];
+      const {ttl} = idempotency;
+      idempotency.ttl = 0;
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const idempotencyKey = uuid();
+      try {
+        await _issue({credential, idempotencyKey});
+      } finally {
+        idempotency.ttl = ttl;
+      }
+
+      // the retried request is processed again and has a duplicate ID
+      let error;
+      let result;
+      try {
+        result = await _issue({credential, idempotencyKey});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(409);
+      error.data.type.should.equal('DuplicateError');
+    });
+  });
+}
@@ -0,0 +1,198 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as assertions from './index.js';
+import * as bedrock from '@bedrock/core';
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {setTimeout} from 'node:timers/promises';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testIssueJob({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('issue job', function() {
+    let bslInstance;
+    let zcapClient;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ bitstring status list options
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _poll({url}) {
+      for(let i = 0; i < 100; ++i) {
+        const {data: job} = await zcapClient.read({
+          url, capability: bslInstance.rootZcap
+        });
+        if(job.status !== 'pending') {
+          return job;
+        }
+        await setTimeout(100);
+      }
+      throw new Error('Issuance job did not complete.');
+    }
+
+    it('issues a VC in the background w/ "Prefer: respond-async"', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue`,
+          capability: bslInstance.rootZcap,
+          headers: {prefer: 'respond-async'},
+          json: {credential, options: issueOptions}
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(202);
+      should.exist(result.data?.id);
+      result.data.id.should.be.a('string');
+      result.data.status.should.equal('pending');
+      result.headers.get('location').should.equal(result.data.id);
+
+      const job = await _poll({url: result.data.id});
+      job.id.should.equal(result.data.id);
+      job.status.should.equal('completed');
+      should.not.exist(job.error);
+      should.exist(job.expires);
+      const {verifiableCredential} = job;
+      assertions.assertVerifiableCredential({verifiableCredential});
+      verifiableCredential.id.should.equal(credential.id);
+      should.exist(verifiableCredential.credentialStatus);
+      await assertions.assertStoredCredential({
+        configId: bslInstance.issuerId,
+        credentialId: verifiableCredential.id,
+        zcapClient,
+        capability: bslInstance.rootZcap,
+        expectedCredential: verifiableCredential
+      });
+    });
+    it('records an error in a failed job', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.credentialSubject.undefinedTerm = 'notDefinedInContext';
+      const result = await zcapClient.write({
+        url: `${bslInstance.issuerId}/credentials/issue`,
+        capability: bslInstance.rootZcap,
+        headers: {prefer: 'respond-async'},
+        json: {credential, options: issueOptions}
+      });
+      result.status.should.equal(202);
+
+      const job = await _poll({url: result.data.id});
+      job.status.should.equal('failed');
+      should.not.exist(job.verifiableCredential);
+      should.exist(job.error);
+      job.error.name.should.equal('DataError');
+    });
+    it('resumes a job whose lease has expired', async () => {
+      // jobs are created with leases that have already expired, as if the
+      // process that created them had exited
+      const {jobs} = bedrock.config['vc-issuer'];
+      const {leaseTtl} = jobs;
+      jobs.leaseTtl = 0;
+      let result;
+      try {
+        const credential = structuredClone(mockCredentialV2);
+        credential.id = `urn:uuid:${uuid()}`;
+        result = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue`,
+          capability: bslInstance.rootZcap,
+          headers: {prefer: 'respond-async'},
+          json: {credential, options: {...issueOptions, credentialId: uuid()}}
+        });
+      } finally {
+        jobs.leaseTtl = leaseTtl;
+      }
+      result.status.should.equal(202);
+
+      // reading the job claims a new lease; whichever process holds the lease
+      // completes the job
+      const job = await _poll({url: result.data.id});
+      job.status.should.not.equal('pending');
+      should.not.exist(job.lease);
+      should.not.exist(job.request);
+    });
+    it('does not return an expired job', async () => {
+      const {jobs} = bedrock.config['vc-issuer'];
+      const {ttl} = jobs;
+      jobs.ttl = 0;
+      let result;
+      try {
+        const credential = structuredClone(mockCredentialV2);
+        credential.id = `urn:uuid:${uuid()}`;
+        result = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue`,
+          capability: bslInstance.rootZcap,
+          headers: {prefer: 'respond-async'},
+          json: {credential, options: issueOptions}
+        });
+      } finally {
+        jobs.ttl = ttl;
+      }
+      result.status.should.equal(202);
+
+      let error;
+      try {
+        await zcapClient.read({
+          url: result.data.id, capability: bslInstance.rootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(404);
+    });
+    it('fails to get an unknown job', async () => {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.read({
+          url: `${bslInstance.issuerId}/credentials/jobs/${uuid()}`,
+          capability: bslInstance.rootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(404);
+      error.data.name.should.equal('NotFoundError');
+    });
+  });
+}
@@ -0,0 +1,309 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as assertions from './index.js';
+import * as bedrock from '@bedrock/core';
+import * as helpers from '../helpers.js';
+import {exportJWK, generateKeyPair, SignJWT} from 'jose';
+import {agent} from '@bedrock/https-agent';
+import {createRequire} from 'node:module';
+import {httpClient} from '@digitalbazaar/http-client';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+const PRE_AUTHORIZED_CODE_GRANT_TYPE =
+  'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+
+export function testIssueOid4vci({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('issue via OID4VCI', function() {
+    let bslInstance;
+    let zcapClient;
+    let walletKeyPair;
+    let walletJwk;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ bitstring status list options
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+
+      // generate wallet key
+      walletKeyPair = await generateKeyPair('ES256');
+      walletJwk = await exportJWK(walletKeyPair.publicKey);
+    });
+
+    async function _createOffer() {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      delete credential.credentialSubject.id;
+      const {data: {credentialOffer}} = await zcapClient.write({
+        url: `${bslInstance.issuerId}/oid4vci/offers`,
+        capability: bslInstance.rootZcap,
+        json: {credential}
+      });
+      return credentialOffer;
+    }
+
+    async function _getAccessToken({credentialOffer}) {
+      const {
+        'pre-authorized_code': preAuthorizedCode
+      } = credentialOffer.grants[PRE_AUTHORIZED_CODE_GRANT_TYPE];
+      const {data} = await httpClient.post(
+        `${bslInstance.issuerId}/oid4vci/token`, {
+          agent,
+          body: new URLSearchParams({
+            grant_type: PRE_AUTHORIZED_CODE_GRANT_TYPE,
+            'pre-authorized_code': preAuthorizedCode
+          })
+        });
+      return data;
+    }
+
+    async function _createProof({
+      nonce, aud = bslInstance.issuerId, header = {jwk: walletJwk}
+    }) {
+      return new SignJWT({nonce})
+        .setProtectedHeader({
+          alg: 'ES256', typ: 'openid4vci-proof+jwt', ...header
+        })
+        .setIssuedAt()
+        .setAudience(aud)
+        .sign(walletKeyPair.privateKey);
+    }
+
+    async function _requestCredential({accessToken, jwt}) {
+      let error;
+      let result;
+      try {
+        result = await httpClient.post(
+          `${bslInstance.issuerId}/oid4vci/credential`, {
+            agent,
+            headers: {authorization: `Bearer ${accessToken}`},
+            json: {
+              credential_configuration_id: 'ldp_vc',
+              proofs: {jwt: [jwt]}
+            }
+          });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    it('gets credential issuer metadata', async () => {
+      const {data} = await httpClient.get(
+        `${bslInstance.issuerId}/.well-known/openid-credential-issuer`,
+        {agent});
+      data.credential_issuer.should.equal(bslInstance.issuerId);
+      data.credential_endpoint.should.equal(
+        `${bslInstance.issuerId}/oid4vci/credential`);
+      should.exist(data.credential_configurations_supported.ldp_vc);
+      data.credential_configurations_supported.ldp_vc
+        .credential_signing_alg_values_supported.should.deep.equal(
+          [suiteName]);
+    });
+    it('gets metadata at the RFC 8414 well-known URLs', async () => {
+      // the well-known path is inserted before the issuer instance's path
+      const {origin, pathname} = new URL(bslInstance.issuerId);
+      const {data: credentialIssuerMetadata} = await httpClient.get(
+        `${origin}/.well-known/openid-credential-issuer${pathname}`, {agent});
+      credentialIssuerMetadata.credential_issuer.should.equal(
+        bslInstance.issuerId);
+      credentialIssuerMetadata.credential_configurations_supported.ldp_vc
+        .cryptographic_binding_methods_supported.should.deep.equal(
+          ['did:jwk', 'did:key']);
+      const {data: authorizationServerMetadata} = await httpClient.get(
+        `${origin}/.well-known/oauth-authorization-server${pathname}`,
+        {agent});
+      authorizationServerMetadata.issuer.should.equal(bslInstance.issuerId);
+      authorizationServerMetadata.token_endpoint.should.equal(
+        `${bslInstance.issuerId}/oid4vci/token`);
+    });
+    it('issues a VC bound to the wallet key', async () => {
+      const credentialOffer = await _createOffer();
+      credentialOffer.credential_configuration_ids.should.deep.equal(
+        ['ldp_vc']);
+      const {
+        access_token: accessToken, c_nonce: nonce
+      } = await _getAccessToken({credentialOffer});
+
+      let error;
+      let result;
+      try {
+        result = await httpClient.post(
+          `${bslInstance.issuerId}/oid4vci/credential`, {
+            agent,
+            headers: {authorization: `Bearer ${accessToken}`},
+            json: {
+              credential_configuration_id: 'ldp_vc',
+              proofs: {jwt: [await _createProof({nonce})]}
+            }
+          });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(200);
+      const [{credential: verifiableCredential}] = result.data.credentials;
+      assertions.assertVerifiableCredential({verifiableCredential});
+      verifiableCredential.credentialSubject.id.should.match(/^did:jwk:/);
+
+      // offer cannot be redeemed again
+      error = undefined;
+      try {
+        await httpClient.post(
+          `${bslInstance.issuerId}/oid4vci/credential`, {
+            agent,
+            headers: {authorization: `Bearer ${accessToken}`},
+            json: {
+              credential_configuration_id: 'ldp_vc',
+              proofs: {jwt: [await _createProof({nonce})]}
+            }
+          });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(401);
+      error.data.error.should.equal('invalid_token');
+    });
+    it('fails to issue w/ a key proof for another issuer', async () => {
+      const credentialOffer = await _createOffer();
+      const {
+        access_token: accessToken, c_nonce: nonce
+      } = await _getAccessToken({credentialOffer});
+      let error;
+      let result;
+      try {
+        result = await httpClient.post(
+          `${bslInstance.issuerId}/oid4vci/credential`, {
+            agent,
+            headers: {authorization: `Bearer ${accessToken}`},
+            json: {
+              credential_configuration_id: 'ldp_vc',
+              proofs: {
+                jwt: [await _createProof({nonce, aud: 'https://other.example'})]
+              }
+            }
+          });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.error.should.equal('invalid_proof');
+    });
+    it('fails to exchange an expired pre-authorized code', async () => {
+      const {oid4vci} = bedrock.config['vc-issuer'];
+      const {offerTtl} = oid4vci;
+      oid4vci.offerTtl = 0;
+      let credentialOffer;
+      try {
+        credentialOffer = await _createOffer();
+      } finally {
+        oid4vci.offerTtl = offerTtl;
+      }
+      let error;
+      try {
+        await _getAccessToken({credentialOffer});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.error.should.equal('invalid_grant');
+    });
+    it('fails to exchange a pre-authorized code twice', async () => {
+      const credentialOffer = await _createOffer();
+      await _getAccessToken({credentialOffer});
+      let error;
+      try {
+        await _getAccessToken({credentialOffer});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.error.should.equal('invalid_grant');
+    });
+    it('fails to issue w/ a key proof "kid" of another DID method',
+      async () => {
+        const credentialOffer = await _createOffer();
+        const {
+          access_token: accessToken, c_nonce: nonce
+        } = await _getAccessToken({credentialOffer});
+        const {error, result} = await _requestCredential({
+          accessToken,
+          jwt: await _createProof({
+            nonce, header: {kid: 'did:web:wallet.example#key-1'}
+          })
+        });
+        should.not.exist(result);
+        should.exist(error);
+        error.status.should.equal(400);
+        error.data.error.should.equal('invalid_proof');
+      });
+    it('fails to issue w/ a key proof "alg" for another curve', async () => {
+      const credentialOffer = await _createOffer();
+      const {
+        access_token: accessToken, c_nonce: nonce
+      } = await _getAccessToken({credentialOffer});
+
+      // sign with a P-384 key but claim `ES256`, which is for P-256 keys
+      const {privateKey, publicKey} = await generateKeyPair('ES384');
+      const header = {
+        alg: 'ES256',
+        typ: 'openid4vci-proof+jwt',
+        jwk: await exportJWK(publicKey)
+      };
+      const payload = {
+        nonce,
+        aud: bslInstance.issuerId,
+        iat: Math.floor(Date.now() / 1000)
+      };
+      const data = [header, payload]
+        .map(value => Buffer.from(JSON.stringify(value)).toString('base64url'))
+        .join('.');
+      const signature = await globalThis.crypto.subtle.sign(
+        {name: 'ECDSA', hash: 'SHA-256'}, privateKey,
+        new TextEncoder().encode(data));
+      const jwt = `${data}.${Buffer.from(signature).toString('base64url')}`;
+
+      const {error, result} = await _requestCredential({accessToken, jwt});
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.error.should.equal('invalid_proof');
+    });
+  });
+}
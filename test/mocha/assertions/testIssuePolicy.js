@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testIssuePolicy({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('issue policy', function() {
+    let capabilityAgent;
+    let zcaps;
+    let issuer;
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    const issuePolicy = {
+      allowedTypes: ['UniversityDegreeCredential'],
+      allowedSubjectProperties: ['degree'],
+      validity: {
+        maxPeriod: 60 * 60 * 24 * 365,
+        maxBackdate: 60 * 5
+      }
+    };
+    before(async () => {
+      // provision dependencies
+      ({issuer, capabilityAgent, zcaps} = await helpers.provisionDependencies(
+        {...depOptions, status: false}));
+
+      // create issuer instance w/ no status list options and a policy
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions, issuePolicy
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    function _createCredential() {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const now = Date.now();
+      credential.validFrom = new Date(now).toISOString();
+      credential.validUntil = new Date(now + 1000 * 60 * 60).toISOString();
+      return credential;
+    }
+
+    async function _issue({credential}) {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {credential, options: issueOptions}
+        });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    function _assertPolicyError({error, result, policy}) {
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(403);
+      error.data.name.should.equal('NotAllowedError');
+      error.data.details.policy.should.equal(policy);
+    }
+
+    it('issues a VC that is allowed by the policy', async () => {
+      const {error, result} = await _issue({credential: _createCredential()});
+      assertNoError(error);
+      should.exist(result.data?.verifiableCredential?.proof);
+    });
+    it('fails to issue a VC with a disallowed type', async () => {
+      const credential = _createCredential();
+      credential['@context'].push({OtherCredential: 'ex:OtherCredential'});
+      credential.type.push('OtherCredential');
+      const {error, result} = await _issue({credential});
+      _assertPolicyError({error, result, policy: 'allowedTypes'});
+      error.data.details.value.should.equal('OtherCredential');
+    });
+    it('fails to issue a VC with a disallowed subject property', async () => {
+      const credential = _createCredential();
+      credential['@context'].push({name: 'schema:name'});
+      credential.credentialSubject.name = 'Pat Doe';
+      const {error, result} = await _issue({credential});
+      _assertPolicyError({error, result, policy: 'allowedSubjectProperties'});
+    });
+    it('fails to issue a VC that is valid for too long', async () => {
+      const credential = _createCredential();
+      delete credential.validUntil;
+      const {error, result} = await _issue({credential});
+      _assertPolicyError({error, result, policy: 'validity.maxPeriod'});
+    });
+    it('fails to issue a backdated VC', async () => {
+      const credential = _createCredential();
+      credential.validFrom = '2020-01-01T00:00:00Z';
+      const {error, result} = await _issue({credential});
+      _assertPolicyError({error, result, policy: 'validity.maxBackdate'});
+    });
+    it('fails to create an instance with an invalid policy', async () => {
+      let error;
+      let result;
+      try {
+        const {cryptosuites} = depOptions;
+        result = await helpers.createIssuerConfig({
+          capabilityAgent, zcaps,
+          issueOptions: helpers.createIssueOptions({issuer, cryptosuites}),
+          issuePolicy: {allowedContexts: ['not a URL']}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+    });
+  });
+}
@@ -1,9 +1,10 @@
 /*!
- * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as assertions from './index.js';
 import * as helpers from '../helpers.js';
 import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
 
 const require = createRequire(import.meta.url);
 
@@ -83,6 +84,148 @@ export function testIssueSd({suiteName, algorithm, issueOptions}) {
       error.status.should.equal(400);
       error.data.message.should.equal(
         `JSON pointer "${missingPointer}" does not match document.`);
+      error.data.details.problemType.should.equal('invalid-mandatory-pointer');
+    });
+  });
+  describe('issue using mandatory pointers by credential type', function() {
+    let capabilityAgent;
+    let zcaps;
+    let issuer;
+    let noStatusListIssuerConfig;
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    const mandatoryPointersByType = {
+      UniversityDegreeCredential: ['/issuer', '/credentialSubject/degree']
+    };
+    before(async () => {
+      // provision dependencies
+      ({issuer, capabilityAgent, zcaps} = await helpers.provisionDependencies(
+        depOptions));
+
+      // create issuer instance w/ no status list options and pointers for
+      // the mock credential's type
+      const issueOptions = helpers.createIssueOptions({
+        issuer,
+        cryptosuites: depOptions.cryptosuites.map(cryptosuite => ({
+          ...cryptosuite,
+          options: {mandatoryPointersByType}
+        }))
+      });
+      noStatusListIssuerConfig = await helpers.createIssuerConfig(
+        {capabilityAgent, zcaps, issueOptions});
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap = helpers.createRootZcap({
+        url: noStatusListIssuerId
+      });
+    });
+    it('issues a valid credential w/ its type\'s pointers', async () => {
+      const credential = structuredClone(mockCredential);
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+      const {verifiableCredential} = await assertions.issueAndAssert({
+        configId: noStatusListIssuerId,
+        credential,
+        zcapClient,
+        capability: noStatusListIssuerRootZcap
+      });
+      should.exist(verifiableCredential.proof);
+    });
+    it('fails to issue w/ "options.mandatoryPointers" for a type ' +
+      'with pointers', async () => {
+      let error;
+      try {
+        const credential = structuredClone(mockCredential);
+        const zcapClient = helpers.createZcapClient({capabilityAgent});
+        await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {
+            credential,
+            options: {mandatoryPointers: ['/issuer']}
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('NotAllowedError');
+    });
+    it('fails to create an instance w/ an invalid pointer', async () => {
+      let error;
+      try {
+        const issueOptions = helpers.createIssueOptions({
+          issuer,
+          cryptosuites: depOptions.cryptosuites.map(cryptosuite => ({
+            ...cryptosuite,
+            options: {
+              mandatoryPointersByType: {UniversityDegreeCredential: ['issuer']}
+            }
+          }))
+        });
+        await helpers.createIssuerConfig(
+          {capabilityAgent, zcaps, issueOptions});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('ValidationError');
+    });
+    it('fails to create an instance w/ pointers by type for a suite ' +
+      'without selective disclosure', async () => {
+      let error;
+      try {
+        const {
+          issuer, capabilityAgent, zcaps
+        } = await helpers.provisionDependencies({
+          ...depOptions,
+          cryptosuites: [{name: 'eddsa-rdfc-2022', algorithm: 'Ed25519'}]
+        });
+        const issueOptions = helpers.createIssueOptions({
+          issuer,
+          cryptosuites: [{
+            name: 'eddsa-rdfc-2022',
+            algorithm: 'Ed25519',
+            options: {mandatoryPointersByType}
+          }]
+        });
+        await helpers.createIssuerConfig(
+          {capabilityAgent, zcaps, issueOptions});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+    });
+    it('fails to update an instance w/ a pointer that selects nothing in ' +
+      'a template of its type', async () => {
+      const zcapClient = helpers.createZcapClient({capabilityAgent});
+
+      // store a template of the type without a degree
+      const template = structuredClone(mockCredential);
+      delete template.id;
+      delete template.issuer;
+      delete template.credentialSubject.degree;
+      await zcapClient.write({
+        url: `${noStatusListIssuerId}/credential-templates`,
+        capability: noStatusListIssuerRootZcap,
+        json: {id: `urn:uuid:${uuid()}`, template}
+      });
+
+      let error;
+      try {
+        await zcapClient.write({
+          url: noStatusListIssuerId,
+          json: {
+            ...noStatusListIssuerConfig,
+            sequence: noStatusListIssuerConfig.sequence + 1
+          }
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
     });
   });
 }
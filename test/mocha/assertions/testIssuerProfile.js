@@ -0,0 +1,114 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testIssuerProfile({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('issuer profile', function() {
+    let capabilityAgent;
+    let zcaps;
+    let issuer;
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    const issuerProfile = {
+      name: [
+        {'@value': 'Example University', '@language': 'en'},
+        {'@value': 'Université Exemple', '@language': 'fr'}
+      ],
+      description: 'An example university.'
+    };
+    before(async () => {
+      // provision dependencies
+      ({issuer, capabilityAgent, zcaps} = await helpers.provisionDependencies(
+        {...depOptions, status: false}));
+
+      // create issuer instance w/ no status list options and a profile
+      const {cryptosuites} = depOptions;
+      const issueOptions = {
+        ...helpers.createIssueOptions({issuer, cryptosuites}),
+        issuerProfile
+      };
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({credential}) {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {credential}
+        });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    it('adds the profile to a string issuer', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const {error, result} = await _issue({credential});
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      verifiableCredential.issuer.should.deep.equal({
+        ...issuerProfile,
+        id: issuer
+      });
+      should.exist(verifiableCredential.proof);
+    });
+    it('replaces profile values sent by the caller', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.issuer = {
+        id: 'did:example:other',
+        name: 'Other University'
+      };
+      const {error, result} = await _issue({credential});
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      verifiableCredential.issuer.id.should.equal(issuer);
+      verifiableCredential.issuer.name.should.deep.equal(issuerProfile.name);
+    });
+    it('includes the profile in the metadata', async () => {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.read({
+          url: `${noStatusListIssuerId}/metadata`,
+          capability: noStatusListIssuerRootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.data.issuerProfile.should.deep.equal(issuerProfile);
+    });
+  });
+}
@@ -0,0 +1,70 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {mockData} from '../mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testKeyCache({suiteName, algorithm}) {
+  describe('issue with cached keys', function() {
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    before(async () => {
+      const cryptosuites = [{name: suiteName, algorithm}];
+
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({
+        cryptosuites, status: false, zcaps: true
+      });
+
+      // create issuer instance w/ no status list options
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue() {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const result = await zcapClient.write({
+        url: `${noStatusListIssuerId}/credentials/issue`,
+        capability: noStatusListIssuerRootZcap,
+        json: {credential}
+      });
+      return result.data.verifiableCredential;
+    }
+
+    it('issues VCs concurrently before keys are cached', async () => {
+      const {kmsKeyRequests} = mockData;
+      const count = kmsKeyRequests.count;
+      const results = await Promise.all([_issue(), _issue(), _issue()]);
+      const methods = new Set(results.map(
+        ({proof}) => proof.verificationMethod));
+      methods.size.should.equal(1);
+      // the key is only fetched from the KMS once
+      kmsKeyRequests.count.should.equal(count + 1);
+    });
+    it('issues VCs using cached keys', async () => {
+      const {kmsKeyRequests} = mockData;
+      const count = kmsKeyRequests.count;
+      const first = await _issue();
+      const second = await _issue();
+      second.proof.verificationMethod.should.equal(
+        first.proof.verificationMethod);
+      kmsKeyRequests.count.should.equal(count);
+    });
+  });
+}
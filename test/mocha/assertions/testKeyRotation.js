@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testKeyRotation({suiteName, algorithm}) {
+  describe('issue with rotated assertion method keys', function() {
+    let capabilityAgent;
+    let zcaps;
+    let did;
+    let currentKey;
+    let nextKey;
+    let zcapClient;
+    before(async () => {
+      // generate a `did:web` DID for the issuer with a current and next key
+      const {host} = bedrock.config.server;
+      did = `did:web:${encodeURIComponent(host)}:did-web:${uuid()}`;
+      currentKey = {name: suiteName, algorithm};
+      nextKey = {name: suiteName, algorithm};
+
+      // provision dependencies
+      ({capabilityAgent, zcaps} = await helpers.provisionDependencies({
+        did, cryptosuites: [currentKey, nextKey], status: false, zcaps: true
+      }));
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _createIssuer({notBefore, notAfter, count = 1}) {
+      const assertionMethod = {
+        referenceId: nextKey.zcapReferenceIds.assertionMethod
+      };
+      if(notBefore !== undefined) {
+        assertionMethod.notBefore = notBefore;
+      }
+      if(notAfter !== undefined) {
+        assertionMethod.notAfter = notAfter;
+      }
+      const issueOptions = {
+        issuer: did,
+        cryptosuites: [{
+          name: suiteName,
+          zcapReferenceIds: {
+            assertionMethod: currentKey.zcapReferenceIds.assertionMethod,
+            assertionMethods: new Array(count).fill(assertionMethod)
+          }
+        }]
+      };
+      return helpers.createIssuerConfig({capabilityAgent, zcaps, issueOptions});
+    }
+
+    async function _issue({issuerId}) {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const result = await zcapClient.write({
+        url: `${issuerId}/credentials/issue`,
+        capability: `urn:zcap:root:${encodeURIComponent(issuerId)}`,
+        json: {credential}
+      });
+      return result.data.verifiableCredential;
+    }
+
+    async function _getKeyId({key}) {
+      const {id} = await key.assertionMethodKey.getKeyDescription();
+      return id;
+    }
+
+    it('signs with a key once it is active', async () => {
+      const {id: issuerId} = await _createIssuer({
+        notBefore: new Date(Date.now() - 1000 * 60).toISOString()
+      });
+      const {proof} = await _issue({issuerId});
+      proof.verificationMethod.should.equal(await _getKeyId({key: nextKey}));
+    });
+    it('does not sign with a key before it is active', async () => {
+      const {id: issuerId} = await _createIssuer({
+        notBefore: new Date(Date.now() + 1000 * 60 * 60).toISOString()
+      });
+      const {proof} = await _issue({issuerId});
+      proof.verificationMethod.should.equal(
+        await _getKeyId({key: currentKey}));
+    });
+    it('does not sign with a key after it is no longer active', async () => {
+      const {id: issuerId} = await _createIssuer({
+        notAfter: new Date(Date.now() - 1000 * 60).toISOString()
+      });
+      const {proof} = await _issue({issuerId});
+      proof.verificationMethod.should.equal(
+        await _getKeyId({key: currentKey}));
+    });
+    it('fails to create an issuer with an invalid window', async () => {
+      let error;
+      try {
+        await _createIssuer({
+          notBefore: new Date(Date.now() + 1000 * 60).toISOString(),
+          notAfter: new Date(Date.now() - 1000 * 60).toISOString()
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+    });
+    it('fails to create an issuer with too many assertion methods',
+      async () => {
+        let error;
+        try {
+          // at most 4 assertion methods are allowed per cryptosuite
+          await _createIssuer({
+            notBefore: new Date(Date.now() - 1000 * 60).toISOString(),
+            count: 5
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.status.should.equal(400);
+      });
+  });
+}
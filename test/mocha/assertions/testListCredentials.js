@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testListCredentials({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('list credentials', function() {
+    let capabilityAgent;
+    let bslInstance;
+    let zcapClient;
+    const subjectId = `did:example:${uuid()}`;
+    const issued = [];
+    before(async () => {
+      // provision dependencies
+      let issuer;
+      let zcaps;
+      ({issuer, capabilityAgent, zcaps} = await helpers.provisionDependencies({
+        ...depOptions, status: false}));
+
+      // create issuer instance w/ bitstring status list options so that
+      // issued VCs are stored
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+
+      // issue some VCs, only some of which are for `subjectId`
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+      for(let i = 0; i < 5; ++i) {
+        const credential = structuredClone(mockCredentialV2);
+        credential.id = `urn:uuid:${uuid()}`;
+        if(i % 2 === 0) {
+          credential.credentialSubject.id = subjectId;
+        }
+        const {data: {verifiableCredential}} = await zcapClient.write({
+          url: `${bslInstance.issuerId}/credentials/issue`,
+          capability: bslInstance.rootZcap,
+          json: {credential, options: issueOptions}
+        });
+        issued.push(verifiableCredential);
+      }
+    });
+    it('lists credentials by "credentialSubjectId"', async () => {
+      const url = `${bslInstance.issuerId}/credentials?` +
+        new URLSearchParams({credentialSubjectId: subjectId});
+      let error;
+      let result;
+      try {
+        result = await zcapClient.read({url, capability: bslInstance.rootZcap});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      should.exist(result.data?.credentials);
+      const ids = result.data.credentials.map(
+        ({verifiableCredential}) => verifiableCredential.id);
+      const expectedIds = issued
+        .filter(vc => vc.credentialSubject.id === subjectId)
+        .map(({id}) => id);
+      ids.should.have.members(expectedIds);
+    });
+    it('lists credentials in pages', async () => {
+      const ids = [];
+      const issuedTimes = [];
+      let cursor;
+      do {
+        const query = {
+          type: 'UniversityDegreeCredential',
+          statusPurpose: 'revocation',
+          limit: '2'
+        };
+        if(cursor) {
+          query.cursor = cursor;
+        }
+        const url = `${bslInstance.issuerId}/credentials?` +
+          new URLSearchParams(query);
+        const {data} = await zcapClient.read({
+          url, capability: bslInstance.rootZcap
+        });
+        data.credentials.length.should.be.at.most(2);
+        ids.push(...data.credentials.map(
+          ({verifiableCredential}) => verifiableCredential.id));
+        issuedTimes.push(...data.credentials.map(({issued}) => issued));
+        cursor = data.nextCursor;
+      } while(cursor);
+      ids.should.have.members(issued.map(({id}) => id));
+      // newest first
+      issuedTimes.should.deep.equal(issuedTimes.toSorted().reverse());
+    });
+    it('lists no credentials issued before a given time', async () => {
+      const url = `${bslInstance.issuerId}/credentials?` +
+        new URLSearchParams({issuedBefore: '2020-01-01T00:00:00Z'});
+      const {data} = await zcapClient.read({
+        url, capability: bslInstance.rootZcap
+      });
+      data.credentials.should.have.length(0);
+    });
+    it('fails to list credentials with an invalid cursor', async () => {
+      const url = `${bslInstance.issuerId}/credentials?cursor=invalid`;
+      let error;
+      let result;
+      try {
+        result = await zcapClient.read({url, capability: bslInstance.rootZcap});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      should.not.exist(result);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+  });
+}
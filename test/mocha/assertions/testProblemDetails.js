@@ -0,0 +1,129 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+const PROBLEM_TYPE_PREFIX = 'urn:bedrock:vc-issuer:problem:';
+
+export function testProblemDetails({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('problem details', function() {
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+
+      // create issuer instance w/ no status list options
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({credential, accept}) {
+      return zcapClient.write({
+        url: `${noStatusListIssuerId}/credentials/issue`,
+        capability: noStatusListIssuerRootZcap,
+        headers: {accept},
+        json: {credential, options: issueOptions}
+      });
+    }
+
+    it('sends problem details for an undefined term', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.credentialSubject.undefinedTerm = 'notDefinedInContext';
+      let error;
+      let result;
+      try {
+        result = await _issue({
+          credential, accept: 'application/problem+json'
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.response.headers.get('content-type').should.contain(
+        'application/problem+json');
+      error.data.type.should.equal(`${PROBLEM_TYPE_PREFIX}undefined-term`);
+      error.data.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.title.should.be.a('string');
+      error.data.detail.should.equal(error.data.message);
+      error.data.instance.should.contain('/credentials/issue');
+    });
+    it('sends problem details for an invalid date', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.validFrom = 'not a date';
+      let error;
+      try {
+        await _issue({credential, accept: 'application/problem+json'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal(`${PROBLEM_TYPE_PREFIX}invalid-date`);
+    });
+    it('sends problem details for a credential that does not conform to ' +
+      'the VC data model', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.type = ['UniversityDegreeCredential'];
+      let error;
+      try {
+        await _issue({credential, accept: 'application/problem+json'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal(
+        `${PROBLEM_TYPE_PREFIX}invalid-credential`);
+    });
+    it('sends the default error format to other clients', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.credentialSubject.undefinedTerm = 'notDefinedInContext';
+      let error;
+      try {
+        await _issue({credential, accept: 'application/json'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.type.should.equal('DataError');
+      error.data.details.problemType.should.equal('undefined-term');
+    });
+  });
+}
@@ -0,0 +1,165 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from '../helpers.js';
+import * as vc from '@digitalbazaar/vc';
+import {documentLoader as brDocLoader} from '@bedrock/jsonld-document-loader';
+import {createRequire} from 'node:module';
+import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
+import {didIo} from '@bedrock/did-io';
+import {
+  cryptosuite as ecdsaRdfc2019Cryptosuite
+} from '@digitalbazaar/ecdsa-rdfc-2019-cryptosuite';
+import {
+  cryptosuite as eddsaRdfc2022Cryptosuite
+} from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
+import {randomUUID as uuid} from 'node:crypto';
+import {withPreviousProofs} from '@bedrock/vc-issuer';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+const CRYPTOSUITES = new Map([
+  ['ecdsa-rdfc-2019', ecdsaRdfc2019Cryptosuite],
+  ['eddsa-rdfc-2022', eddsaRdfc2022Cryptosuite]
+]);
+
+async function documentLoader(url) {
+  if(url.startsWith('did:')) {
+    const document = await didIo.get({url});
+    return {contextUrl: null, documentUrl: url, document};
+  }
+  return brDocLoader(url);
+}
+
+export function testProofChain({suiteName, algorithm}) {
+  describe('issue with a proof chain', function() {
+    let capabilityAgent;
+    let zcaps;
+    let did;
+    let cryptosuites;
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    before(async () => {
+      // use two cryptosuites for the same issuer DID
+      cryptosuites = [{
+        name: suiteName,
+        algorithm
+      }, {
+        name: 'ecdsa-rdfc-2019',
+        algorithm: 'P-256'
+      }];
+
+      // generate a `did:web` DID for the issuer
+      const {host} = bedrock.config.server;
+      did = `did:web:${encodeURIComponent(host)}:did-web:${uuid()}`;
+
+      // provision dependencies
+      ({capabilityAgent, zcaps} = await helpers.provisionDependencies({
+        did, cryptosuites, status: false, zcaps: true
+      }));
+
+      // create issuer instance w/ no status list options and a proof chain
+      const issueOptions = {
+        ...helpers.createIssueOptions({issuer: did, cryptosuites}),
+        proofChain: true
+      };
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue() {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      const result = await zcapClient.write({
+        url: `${noStatusListIssuerId}/credentials/issue`,
+        capability: noStatusListIssuerRootZcap,
+        json: {credential}
+      });
+      return result.data.verifiableCredential;
+    }
+
+    function _createVerifySuites() {
+      return cryptosuites.map(({name}) => new DataIntegrityProof({
+        cryptosuite: withPreviousProofs({cryptosuite: CRYPTOSUITES.get(name)})
+      }));
+    }
+
+    it('issues a VC with a proof chain', async () => {
+      let error;
+      let verifiableCredential;
+      try {
+        verifiableCredential = await _issue();
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      const {proof} = verifiableCredential;
+      proof.should.be.an('array');
+      proof.length.should.equal(2);
+      const [first, second] = proof;
+      first.cryptosuite.should.equal(suiteName);
+      should.exist(first.id);
+      should.not.exist(first.previousProof);
+      second.cryptosuite.should.equal('ecdsa-rdfc-2019');
+      should.exist(second.id);
+      second.previousProof.should.equal(first.id);
+    });
+    it('issues a VC with a proof chain that verifies', async function() {
+      if(!CRYPTOSUITES.has(suiteName)) {
+        this.skip();
+      }
+      const verifiableCredential = await _issue();
+      const result = await vc.verifyCredential({
+        credential: verifiableCredential,
+        suite: _createVerifySuites(),
+        documentLoader
+      });
+      assertNoError(result.error);
+      result.verified.should.equal(true);
+      result.results.length.should.equal(2);
+      for(const proofResult of result.results) {
+        proofResult.verified.should.equal(true);
+      }
+    });
+    it('does not verify a proof chain with a removed proof', async function() {
+      if(!CRYPTOSUITES.has(suiteName)) {
+        this.skip();
+      }
+      const verifiableCredential = await _issue();
+      // the second proof secures the first, so it cannot verify without it
+      verifiableCredential.proof = verifiableCredential.proof[1];
+      const result = await vc.verifyCredential({
+        credential: verifiableCredential,
+        suite: _createVerifySuites(),
+        documentLoader
+      });
+      result.verified.should.equal(false);
+    });
+    it('fails to create a proof chain with an unsupported suite', async () => {
+      const issueOptions = {
+        ...helpers.createIssueOptions({issuer: did, cryptosuites}),
+        proofChain: true
+      };
+      issueOptions.cryptosuites[1].name = 'ecdsa-sd-2023';
+      let error;
+      try {
+        await helpers.createIssuerConfig({
+          capabilityAgent, zcaps, issueOptions
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(400);
+    });
+  });
+}
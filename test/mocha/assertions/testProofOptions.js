@@ -0,0 +1,111 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testProofOptions({suiteName, algorithm}) {
+  describe('issue with proof options', function() {
+    let noStatusListIssuerId;
+    let noStatusListIssuerRootZcap;
+    let zcapClient;
+    const domain = 'issuer.example';
+    const expiresIn = 60 * 60;
+    const maxExpiresIn = 60 * 60 * 24;
+    before(async () => {
+      const cryptosuites = [{
+        name: suiteName,
+        algorithm,
+        options: {expiresIn, maxExpiresIn, domain}
+      }];
+
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({
+        cryptosuites, status: false, zcaps: true
+      });
+
+      // create issuer instance w/ no status list options
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      const noStatusListIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps, issueOptions
+      });
+      noStatusListIssuerId = noStatusListIssuerConfig.id;
+      noStatusListIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(noStatusListIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({options = {}} = {}) {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${noStatusListIssuerId}/credentials/issue`,
+          capability: noStatusListIssuerRootZcap,
+          json: {credential, options}
+        });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    it('adds configured proof options', async () => {
+      const now = Date.now();
+      const {error, result} = await _issue();
+      assertNoError(error);
+      const {proof} = result.data.verifiableCredential;
+      proof.domain.should.equal(domain);
+      const lifetime = (Date.parse(proof.expires) - now) / 1000;
+      lifetime.should.be.closeTo(expiresIn, 60);
+    });
+    it('adds requested proof options', async () => {
+      const expires = new Date(Date.now() + 1000 * 60 * 5).toISOString();
+      const {error, result} = await _issue({
+        options: {expires, challenge: 'c1', nonce: 'n1'}
+      });
+      assertNoError(error);
+      const {proof} = result.data.verifiableCredential;
+      proof.expires.should.equal(expires);
+      proof.challenge.should.equal('c1');
+      proof.nonce.should.equal('n1');
+    });
+    it('fails to issue with "expires" after the maximum', async () => {
+      const expires = new Date(
+        Date.now() + 1000 * (maxExpiresIn + 60)).toISOString();
+      const {error, result} = await _issue({options: {expires}});
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.details.maxExpiresIn.should.equal(maxExpiresIn);
+    });
+    it('fails to issue with "expires" in the past', async () => {
+      const {error, result} = await _issue({
+        options: {expires: '2020-01-01T00:00:00Z'}
+      });
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+    it('fails to issue with a "domain" set by the config', async () => {
+      const {error, result} = await _issue({
+        options: {domain: 'other.example'}
+      });
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('NotAllowedError');
+    });
+  });
+}
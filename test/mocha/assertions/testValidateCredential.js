@@ -0,0 +1,123 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {mockData} from '../mock.data.js';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testValidateCredential({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('validate credential', function() {
+    let bslInstance;
+    let zcapClient;
+    let issuerId;
+    before(async () => {
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({...depOptions, status: false});
+      issuerId = issuer;
+
+      // create issuer instance w/ bitstring status list options
+      const statusListOptions = [{
+        type: 'BitstringStatusList',
+        statusPurpose: 'revocation',
+        zcapReferenceIds: {
+          createCredentialStatusList: 'createCredentialStatusList'
+        }
+      }];
+      const {cryptosuites} = depOptions;
+      const issueOptions = helpers.createIssueOptions({issuer, cryptosuites});
+      bslInstance = await helpers.createIssuerConfigAndDependencies({
+        capabilityAgent, zcaps, issueOptions, statusListOptions, depOptions
+      });
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _validate({credential}) {
+      return zcapClient.write({
+        url: `${bslInstance.issuerId}/credentials/validate`,
+        capability: bslInstance.rootZcap,
+        json: {credential, options: issueOptions}
+      });
+    }
+
+    it('validates a credential without issuing it', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      let error;
+      let result;
+      try {
+        result = await _validate({credential});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.status.should.equal(200);
+      should.exist(result.data?.credential);
+      result.data.credential.id.should.equal(credential.id);
+      result.data.credential.issuer.should.equal(issuerId);
+      should.not.exist(result.data.credential.proof);
+      should.not.exist(result.data.credential.credentialStatus);
+
+      // credential was not stored
+      error = undefined;
+      try {
+        await zcapClient.read({
+          url: `${bslInstance.issuerId}/credentials/` +
+            encodeURIComponent(credential.id),
+          capability: bslInstance.rootZcap
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.status.should.equal(404);
+    });
+    it('validates credentials using cached keys', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      await _validate({credential: structuredClone(credential)});
+
+      // validating again does not fetch the issuer's keys from the KMS
+      const {kmsKeyRequests} = mockData;
+      const count = kmsKeyRequests.count;
+      const result = await _validate({credential});
+      result.status.should.equal(200);
+      kmsKeyRequests.count.should.equal(count);
+    });
+    it('fails to validate a credential w/ an undefined term', async () => {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      credential.credentialSubject.undefinedTerm = 'notDefinedInContext';
+      let error;
+      let result;
+      try {
+        result = await _validate({credential});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.details.error.name.should.equal('jsonld.ValidationError');
+    });
+  });
+}
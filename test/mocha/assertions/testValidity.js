@@ -0,0 +1,216 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredential = require('../mock-credential.json');
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+const DAY = 60 * 60 * 24;
+
+export function testValidity({
+  suiteName, algorithm, issueOptions, statusOptions
+}) {
+  const depOptions = {
+    suiteOptions: {
+      suiteName, algorithm, issueOptions, statusOptions
+    },
+    cryptosuites: [{
+      name: suiteName,
+      algorithm
+    }],
+    zcaps: true
+  };
+  describe('validity periods', function() {
+    let capabilityAgent;
+    let zcaps;
+    let issuer;
+    let zcapClient;
+    let rejectIssuer;
+    let clampIssuer;
+    let unlimitedIssuer;
+    before(async () => {
+      // provision dependencies
+      ({issuer, capabilityAgent, zcaps} = await helpers.provisionDependencies(
+        {...depOptions, status: false}));
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+
+      // create issuer instances w/ no status list options that reject,
+      // clamp, and do not limit VCs that are valid for too long
+      const {cryptosuites} = depOptions;
+      rejectIssuer = await _createIssuer({
+        validity: {defaultPeriod: DAY, maxPeriod: DAY * 30}
+      });
+      clampIssuer = await _createIssuer({
+        validity: {maxPeriod: DAY * 30, clamp: true}
+      });
+      unlimitedIssuer = await _createIssuer({});
+
+      async function _createIssuer({validity}) {
+        const issueOptions = {
+          ...helpers.createIssueOptions({issuer, cryptosuites}),
+          validity
+        };
+        const {id} = await helpers.createIssuerConfig({
+          capabilityAgent, zcaps, issueOptions
+        });
+        return {
+          id,
+          rootZcap: `urn:zcap:root:${encodeURIComponent(id)}`
+        };
+      }
+    });
+
+    async function _issue({issuer, credential}) {
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${issuer.id}/credentials/issue`,
+          capability: issuer.rootZcap,
+          json: {credential}
+        });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    function _createCredential({mock = mockCredentialV2} = {}) {
+      const credential = structuredClone(mock);
+      credential.id = `urn:uuid:${uuid()}`;
+      return credential;
+    }
+
+    function _getPeriod({from, until}) {
+      return (Date.parse(until) - Date.parse(from)) / 1000;
+    }
+
+    it('sets the default validity period', async () => {
+      const before = Date.now() - 1000;
+      const {error, result} = await _issue({
+        issuer: rejectIssuer, credential: _createCredential()
+      });
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      should.exist(verifiableCredential.validFrom);
+      should.exist(verifiableCredential.validUntil);
+      Date.parse(verifiableCredential.validFrom).should.be.at.least(before);
+      _getPeriod({
+        from: verifiableCredential.validFrom,
+        until: verifiableCredential.validUntil
+      }).should.equal(DAY);
+    });
+    it('sets the default validity period for a VC 1.1', async () => {
+      const credential = _createCredential({mock: mockCredential});
+      delete credential.issuanceDate;
+      delete credential.expirationDate;
+      const {error, result} = await _issue({issuer: rejectIssuer, credential});
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      should.not.exist(verifiableCredential.validFrom);
+      should.not.exist(verifiableCredential.validUntil);
+      _getPeriod({
+        from: verifiableCredential.issuanceDate,
+        until: verifiableCredential.expirationDate
+      }).should.equal(DAY);
+    });
+    it('keeps a given validity period', async () => {
+      const credential = _createCredential();
+      credential.validFrom = '2026-01-01T00:00:00Z';
+      credential.validUntil = '2026-01-08T00:00:00Z';
+      const {error, result} = await _issue({issuer: rejectIssuer, credential});
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      verifiableCredential.validFrom.should.equal(credential.validFrom);
+      verifiableCredential.validUntil.should.equal(credential.validUntil);
+    });
+    it('rejects a VC that is valid for too long', async () => {
+      const credential = _createCredential();
+      credential.validFrom = '2026-01-01T00:00:00Z';
+      credential.validUntil = '2027-01-01T00:00:00Z';
+      const {error, result} = await _issue({issuer: rejectIssuer, credential});
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+      error.data.details.maxPeriod.should.equal(DAY * 30);
+    });
+    it('clamps a VC that is valid for too long', async () => {
+      const credential = _createCredential();
+      credential.validFrom = '2026-01-01T00:00:00Z';
+      credential.validUntil = '2027-01-01T00:00:00Z';
+      const {error, result} = await _issue({issuer: clampIssuer, credential});
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      verifiableCredential.validFrom.should.equal(credential.validFrom);
+      verifiableCredential.validUntil.should.equal('2026-01-31T00:00:00Z');
+    });
+    it('uses the maximum period when no default is set', async () => {
+      const {error, result} = await _issue({
+        issuer: clampIssuer, credential: _createCredential()
+      });
+      assertNoError(error);
+      const {verifiableCredential} = result.data;
+      _getPeriod({
+        from: verifiableCredential.validFrom,
+        until: verifiableCredential.validUntil
+      }).should.equal(DAY * 30);
+    });
+    it('rejects a VC that is valid until before it is valid', async () => {
+      const credential = _createCredential();
+      credential.validFrom = '2026-01-08T00:00:00Z';
+      credential.validUntil = '2026-01-01T00:00:00Z';
+      const {error, result} = await _issue({issuer: clampIssuer, credential});
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+    it('rejects a VC that is valid until before its default start',
+      async () => {
+        const credential = _createCredential();
+        credential.validUntil = '2020-01-01T00:00:00Z';
+        const {error, result} = await _issue({
+          issuer: rejectIssuer, credential
+        });
+        should.not.exist(result);
+        should.exist(error);
+        error.status.should.equal(400);
+        error.data.name.should.equal('DataError');
+      });
+    it('rejects a date with no timezone when limiting validity', async () => {
+      const credential = _createCredential();
+      credential.validFrom = '2026-01-01T00:00:00';
+      const {error, result} = await _issue({issuer: rejectIssuer, credential});
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+    it('accepts a date with no timezone when not limiting validity',
+      async () => {
+        const credential = _createCredential();
+        credential.validFrom = '2026-01-01T00:00:00';
+        const {error, result} = await _issue({
+          issuer: unlimitedIssuer, credential
+        });
+        assertNoError(error);
+        result.data.verifiableCredential.validFrom.should.equal(
+          credential.validFrom);
+      });
+    it('rejects a VC with a malformed date', async () => {
+      const credential = _createCredential();
+      credential.validUntil = '2026-13-01';
+      const {error, result} = await _issue({issuer: clampIssuer, credential});
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(400);
+      error.data.name.should.equal('DataError');
+    });
+  });
+}
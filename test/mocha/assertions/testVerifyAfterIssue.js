@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc.
+ */
+import * as helpers from '../helpers.js';
+import {createRequire} from 'node:module';
+import {randomUUID as uuid} from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+
+const mockCredentialV2 = require('../mock-credential-v2.json');
+
+export function testVerifyAfterIssue({suiteName, algorithm}) {
+  describe('issue with verification after issuance', function() {
+    let verifyingIssuerId;
+    let verifyingIssuerRootZcap;
+    let mismatchedIssuerId;
+    let mismatchedIssuerRootZcap;
+    let zcapClient;
+    before(async () => {
+      const cryptosuites = [{name: suiteName, algorithm}];
+
+      // provision dependencies
+      const {
+        issuer, capabilityAgent, zcaps
+      } = await helpers.provisionDependencies({
+        cryptosuites, status: false, zcaps: true
+      });
+
+      // create issuer instance that verifies issued VCs
+      const verifyingIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps,
+        issueOptions: {
+          ...helpers.createIssueOptions({issuer, cryptosuites}),
+          verifyAfterIssue: true
+        }
+      });
+      verifyingIssuerId = verifyingIssuerConfig.id;
+      verifyingIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(verifyingIssuerId)}`;
+
+      // create issuer instance whose zcap is for a key of another issuer
+      const {issuer: otherIssuer} = await helpers.provisionDependencies({
+        cryptosuites: [{name: suiteName, algorithm}], status: false
+      });
+      const mismatchedIssuerConfig = await helpers.createIssuerConfig({
+        capabilityAgent, zcaps,
+        issueOptions: {
+          ...helpers.createIssueOptions({issuer: otherIssuer, cryptosuites}),
+          verifyAfterIssue: true
+        }
+      });
+      mismatchedIssuerId = mismatchedIssuerConfig.id;
+      mismatchedIssuerRootZcap =
+        `urn:zcap:root:${encodeURIComponent(mismatchedIssuerId)}`;
+      zcapClient = helpers.createZcapClient({capabilityAgent});
+    });
+
+    async function _issue({issuerId, rootZcap}) {
+      const credential = structuredClone(mockCredentialV2);
+      credential.id = `urn:uuid:${uuid()}`;
+      let error;
+      let result;
+      try {
+        result = await zcapClient.write({
+          url: `${issuerId}/credentials/issue`,
+          capability: rootZcap,
+          json: {credential}
+        });
+      } catch(e) {
+        error = e;
+      }
+      return {error, result};
+    }
+
+    it('issues a VC that verifies', async () => {
+      const {error, result} = await _issue({
+        issuerId: verifyingIssuerId, rootZcap: verifyingIssuerRootZcap
+      });
+      assertNoError(error);
+      should.exist(result.data.verifiableCredential.proof);
+    });
+    it('fails to issue a VC signed with another issuer\'s key', async () => {
+      const {error, result} = await _issue({
+        issuerId: mismatchedIssuerId, rootZcap: mismatchedIssuerRootZcap
+      });
+      should.not.exist(result);
+      should.exist(error);
+      error.status.should.equal(500);
+      error.data.type.should.equal('AbortError');
+      error.data.details.problemType.should.equal('verification-error');
+    });
+  });
+}
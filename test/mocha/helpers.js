@@ -92,7 +92,7 @@ export function createIssueOptions({issuer, cryptosuites}) {
 export async function createIssuerConfig({
   capabilityAgent, ipAllowList, meterId, zcaps, issueOptions,
   suiteName = 'Ed25519Signature2020', statusListOptions, oauth2 = false,
-  contexts
+  contexts, issuePolicy
 } = {}) {
   const url = `${mockData.baseUrl}/issuers`;
   // issuer-specific options
@@ -102,6 +102,9 @@ export async function createIssuerConfig({
   if(statusListOptions) {
     configOptions.statusListOptions = statusListOptions;
   }
+  if(issuePolicy) {
+    configOptions.issuePolicy = issuePolicy;
+  }
   const config = await createConfig({
     serviceType: 'vc-issuer',
     url, capabilityAgent, ipAllowList, meterId, zcaps, configOptions, oauth2
@@ -126,15 +129,21 @@ export async function createIssuerConfigAndDependencies({
 }) {
   let statusConfig;
   let issuerCreateStatusListZcap;
+  let issuerUpdateStatusZcap;
   if(statusListOptions) {
     ({
       statusConfig,
-      issuerCreateStatusListZcap
+      issuerCreateStatusListZcap,
+      issuerUpdateStatusZcap
     } = await provisionDependencies(depOptions));
     zcaps = {...zcaps};
     for(const {zcapReferenceIds} of statusListOptions) {
       zcaps[zcapReferenceIds.createCredentialStatusList] =
         issuerCreateStatusListZcap;
+      if(zcapReferenceIds.updateCredentialStatus) {
+        zcaps[zcapReferenceIds.updateCredentialStatus] =
+          issuerUpdateStatusZcap;
+      }
     }
   }
   const issuerConfig = await createIssuerConfig({
@@ -561,6 +570,7 @@ export async function provisionDependencies({
   const {
     statusConfig,
     issuerCreateStatusListZcap,
+    issuerUpdateStatusZcap,
     assertionMethodKey
   } = await provisionStatus({
     did, capabilityAgent, keystoreAgent, suiteOptions
@@ -568,7 +578,8 @@ export async function provisionDependencies({
 
   return {
     issuer,
-    statusConfig, issuerCreateStatusListZcap, capabilityAgent, keystoreAgent,
+    statusConfig, issuerCreateStatusListZcap, issuerUpdateStatusZcap,
+    capabilityAgent, keystoreAgent,
     zcaps,
     // legacy `assertionMethodKey` only generated when not using status
     // `cryptosuites` nor status `envelope`
@@ -713,9 +724,17 @@ export async function provisionStatus({
     delegator: capabilityAgent
   });
 
+  // zcap to update a credential status
+  const issuerUpdateStatusZcap = await delegate({
+    capability: statusRootZcap,
+    controller: issuerServiceAgent.id,
+    invocationTarget: `${statusId}/credentials/status`,
+    delegator: capabilityAgent
+  });
+
   return {
     issuerConfig, statusConfig, issuerCreateStatusListZcap,
-    assertionMethodKey
+    issuerUpdateStatusZcap, assertionMethodKey
   };
 }
 
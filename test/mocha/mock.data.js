@@ -7,6 +7,10 @@ export const mockData = {};
 
 mockData.didWebDocuments = new Map();
 
+// number of KMS key descriptions that have been requested, e.g., to create
+// KMS key handles
+mockData.kmsKeyRequests = {count: 0};
+
 // mock product IDs and reverse lookup for service products
 mockData.productIdMap = new Map([
   // edv service
@@ -2,8 +2,10 @@
  * Copyright (c) 2016-2024 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {getServiceIdentities} from '@bedrock/app-identity';
 import {handlers} from '@bedrock/meter-http';
+import {registerCryptosuite} from '@bedrock/vc-issuer';
 import '@bedrock/ssm-mongodb';
 import '@bedrock/kms';
 import '@bedrock/https-agent';
@@ -12,13 +14,24 @@ import '@bedrock/meter-usage-reporter';
 import '@bedrock/server';
 import '@bedrock/kms-http';
 import '@bedrock/edv-storage';
-import '@bedrock/vc-issuer';
 import '@bedrock/vc-status';
 
 import {mockData} from './mocha/mock.data.js';
 
 const {util: {BedrockError}} = bedrock;
 
+// register test cryptosuites; must be done before `bedrock.init`
+registerCryptosuite({
+  name: 'test-ed25519-signature-2020',
+  createSuite: ({signer}) => new Ed25519Signature2020({signer}),
+  keyTypes: ['Ed25519']
+});
+registerCryptosuite({
+  name: 'test-p256-only',
+  createSuite: ({signer}) => new Ed25519Signature2020({signer}),
+  keyTypes: ['P-256']
+});
+
 bedrock.events.on('bedrock.init', async () => {
   /* Handlers need to be added before `bedrock.start` is called. These are
   no-op handlers to enable meter usage without restriction */
@@ -40,6 +53,17 @@ bedrock.events.on('bedrock.init', async () => {
   handlers.setUseHandler({handler: ({meter} = {}) => ({meter})});
 });
 
+// count KMS key description requests
+bedrock.events.on('bedrock-express.configure.router', app => {
+  app.use((req, res, next) => {
+    if(req.method === 'GET' && /^\/kms\/keystores\/[^/]+\/keys\/[^/]+$/
+      .test(req.path)) {
+      mockData.kmsKeyRequests.count++;
+    }
+    next();
+  });
+});
+
 // mock oauth2 authz server routes
 bedrock.events.on('bedrock-express.configure.routes', app => {
   app.get(mockData.oauth2IssuerConfigRoute, (req, res) => {